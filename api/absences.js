@@ -0,0 +1,56 @@
+// --- Absences API ---
+// JSON list of absences for planning tools. Needs "Authorization: Bearer <ABSENCES_API_TOKEN>".
+//   GET /api/absences?from=2024-12-01&to=2024-12-31[&team=Design][&user=U123][&status=all]
+// `from` defaults to today and `to` to 30 days later; status=all adds pending requests.
+// Entries only carry their leaveType when the list is for one user.
+
+import { log } from "../lib/log.js";
+import { isAuthorizedApiRequest, readQuery } from "../lib/feeds.js";
+import { isValidISODate } from "../lib/date-parser.js";
+import { listAbsences } from "./index.js";
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+export default async function absences(req, res) {
+  if (req.method !== "GET") {
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+  if (!isAuthorizedApiRequest(req)) {
+    return sendJson(res, 401, { error: "Unauthorized" });
+  }
+  
+  const query = readQuery(req);
+  const today = new Date().toISOString().split("T")[0];
+  const from = query.get("from") || today;
+  const defaultTo = new Date(from);
+  defaultTo.setUTCDate(defaultTo.getUTCDate() + DEFAULT_RANGE_DAYS);
+  const to = query.get("to") || (isValidISODate(from) ? defaultTo.toISOString().split("T")[0] : null);
+  
+  if (!isValidISODate(from) || !isValidISODate(to)) {
+    return sendJson(res, 400, { error: "from and to must be dates in YYYY-MM-DD form" });
+  }
+  if (to < from || (new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24) > MAX_RANGE_DAYS) {
+    return sendJson(res, 400, { error: `to must be on or after from, and at most ${MAX_RANGE_DAYS} days later` });
+  }
+  
+  try {
+    const list = await listAbsences({
+      from,
+      to,
+      team: query.get("team"),
+      userId: query.get("user"),
+      includePending: query.get("status") === "all"
+    });
+    sendJson(res, 200, { from, to, absences: list });
+  } catch (error) {
+    log.error("Absences API failed", { error: error.message });
+    sendJson(res, 500, { error: "Internal server error" });
+  }
+}
@@ -0,0 +1,42 @@
+// --- Calendar feed endpoint ---
+// A subscribable iCalendar feed of approved absences, for one team or one person:
+//   GET /api/calendar?team=Design&token=...   or   GET /api/calendar?user=U123&token=...
+// Tokens are signed per team or person (see lib/feeds.js); `/pto calendar` hands out the links.
+
+import { log } from "../lib/log.js";
+import { isValidFeedToken, readQuery } from "../lib/feeds.js";
+import { buildAbsenceCalendar } from "./index.js";
+
+export default async function calendar(req, res) {
+  if (req.method !== "GET") {
+    res.statusCode = 405;
+    return res.end("Method not allowed");
+  }
+  
+  const query = readQuery(req);
+  const team = query.get("team");
+  const userId = query.get("user");
+  if (!team === !userId) {
+    res.statusCode = 400;
+    return res.end("Pass either team or user");
+  }
+  
+  const scope = team ? `team:${team}` : `user:${userId}`;
+  if (!isValidFeedToken(scope, query.get("token"))) {
+    res.statusCode = 401;
+    return res.end("Unauthorized");
+  }
+  
+  try {
+    const ics = await buildAbsenceCalendar({ team, userId });
+    
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", `inline; filename="${team ? "team" : "time-off"}.ics"`);
+    res.end(ics);
+  } catch (error) {
+    log.error("Calendar feed failed", { scope, error: error.message });
+    res.statusCode = 500;
+    res.end("Internal server error");
+  }
+}
@@ -0,0 +1,9 @@
+// --- Morning digest endpoint ---
+// Posts the "who's out" digest to each team's channel and sets out-of-office Slack
+// statuses for leave starting today. Run every weekday morning on a schedule
+// (see lib/cron.js for the authorization it expects).
+
+import { cronRoute } from "../lib/cron.js";
+import { runMorningJobs } from "./index.js";
+
+export default cronRoute("Morning jobs", () => runMorningJobs());
@@ -3,33 +3,30 @@ export const config = { api: { bodyParser: false } };
 // --- Imports ---
 import boltPkg from "@slack/bolt";
 const { App } = boltPkg;
-
-import gapiPkg from "googleapis";
-const { google } = gapiPkg;
+import { waitUntil as vercelWaitUntil } from "@vercel/functions";
 
 import fetch from "node-fetch";
 import dotenv from "dotenv";
 import crypto from "crypto";
 dotenv.config();
 
-// --- Logging Helper ---
-const log = {
-  info: (message, data = {}) => {
-    console.log(`[INFO] ${new Date().toISOString()} - ${message}`, JSON.stringify(data, null, 2));
-  },
-  error: (message, error = {}) => {
-    console.error(`[ERROR] ${new Date().toISOString()} - ${message}`, {
-      message: error.message,
-      stack: error.stack,
-      ...error
-    });
-  },
-  debug: (message, data = {}) => {
-    console.log(`[DEBUG] ${new Date().toISOString()} - ${message}`, JSON.stringify(data, null, 2));
-  }
-};
+import { log } from "../lib/log.js";
+import { addDays, parseDays, calculateBusinessDays, startOfDayInZone, formatDays } from "../lib/dates.js";
+import { safeEqual } from "../lib/secrets.js";
+import { google, getGoogleAuth, getGcpCredentials, hasGoogleCredentials } from "../lib/google.js";
+import { createStore } from "../lib/storage/index.js";
+import { createQueue, drainQueue, runClaimedJob } from "../lib/queue/index.js";
+import { parseRequestLocally, validateParsedRequest, extractDates, RequestParseError } from "../lib/date-parser.js";
+import { reviseDraft, missingField, draftToRequest, isCancelMessage, QUESTIONS } from "../lib/conversation.js";
+import { parseRuleRows, rulesForTeam, evaluateRules, hasBlockingViolation } from "../lib/rules.js";
+import { feedToken, buildICalendar, toAbsence, absenceEvents } from "../lib/feeds.js";
+import { calculateBalance } from "../lib/balance.js";
+import { digestWeekEnd, buildDigestMessage } from "../lib/digest.js";
+import { businessDaysWaiting, nextFollowUp, reminderMessages, escalationMessages, resolutionMessages } from "../lib/stale-requests.js";
 
 // --- Custom Receiver for Vercel ---
+const SIGNATURE_MAX_AGE_SECONDS = 60 * 5;
+
 class VercelReceiver {
   constructor({ signingSecret }) {
     this.signingSecret = signingSecret;
@@ -40,11 +37,17 @@ class VercelReceiver {
     this.app = app;
   }
   
-  async verifySignature(rawBody, signature, timestamp) {
+  // Check the request signature. Requests older than SIGNATURE_MAX_AGE_SECONDS are
+  // refused so a captured request can't be replayed later.
+  async verifySignature(rawBody, signature, timestamp, now = Date.now()) {
+    const sentAt = Number(timestamp);
+    if (!Number.isInteger(sentAt) || Math.abs(now / 1000 - sentAt) > SIGNATURE_MAX_AGE_SECONDS) {
+      return false;
+    }
+    
     const hmac = crypto.createHmac("sha256", this.signingSecret);
     hmac.update(`v0:${timestamp}:${rawBody}`);
-    const computed = `v0=${hmac.digest("hex")}`;
-    return computed === signature;
+    return safeEqual(`v0=${hmac.digest("hex")}`, signature);
   }
   
   parseUrlEncoded(body) {
@@ -57,73 +60,126 @@ class VercelReceiver {
   }
 }
 
-// Initialize receiver and app
+// Initialize receiver
 const receiver = new VercelReceiver({
   signingSecret: process.env.SLACK_SIGNING_SECRET
 });
 
-const app = new App({
-  token: process.env.SLACK_BOT_TOKEN,
-  receiver,
-  logLevel: "DEBUG"
-});
+// --- Dependencies ---
+// Nothing here needs credentials until it is used, so the module can be loaded
+// offline. configure() swaps in other implementations (e.g. fakes in tests).
 
-receiver.init(app);
+// STORAGE_BACKEND selects Google Sheets (default) or a local JSON file, see lib/storage
+let store = createStore();
+// Slack work runs from a durable queue after the HTTP response, see lib/queue
+let queue = createQueue();
+let slackClient = null;
+let parseRequest = parsePTORequest;
+// Keeps the invocation alive for work that runs after the response
+let waitUntil = vercelWaitUntil;
+let app = null;
 
-// --- Google Sheets setup ---
-const sheets = google.sheets("v4");
-const auth = new google.auth.GoogleAuth({
-  credentials: JSON.parse(process.env.GCP_JSON),
-  scopes: ["https://www.googleapis.com/auth/spreadsheets"]
-});
-const spreadsheetId = process.env.SPREADSHEET_ID;
+const calendar = google.calendar("v3");
+
+// Bolt app, created on first use
+function getApp() {
+  if (!app) {
+    app = new App({
+      token: process.env.SLACK_BOT_TOKEN,
+      receiver,
+      logLevel: "DEBUG"
+    });
+    receiver.init(app);
+    registerBoltHandlers(app);
+  }
+  return app;
+}
+
+// Slack Web API client used by the Vercel handler and lookups
+function getSlackClient() {
+  return slackClient || getApp().client;
+}
+
+// Replace the store, job queue, Slack client, request parser and/or waitUntil.
+// The parser receives the DM text and resolves to { start, end, reason, ... }.
+// waitUntil receives the promise of the work started after a response.
+export function configure({ store: newStore, queue: newQueue, slackClient: newSlackClient, parser, waitUntil: newWaitUntil } = {}) {
+  if (newStore) store = newStore;
+  if (newQueue) queue = newQueue;
+  if (newSlackClient) slackClient = newSlackClient;
+  if (parser) parseRequest = parser;
+  if (newWaitUntil) waitUntil = newWaitUntil;
+  configCache.clear();
+}
 
 // --- Helper Functions ---
 
-// Calculate business days between two dates (excluding weekends)
-function calculateBusinessDays(startDate, endDate) {
-  let count = 0;
-  const current = new Date(startDate);
-  const end = new Date(endDate);
-  
-  while (current <= end) {
-    const dayOfWeek = current.getDay();
-    if (dayOfWeek !== 0 && dayOfWeek !== 6) { // Not Sunday (0) or Saturday (6)
-      count++;
-    }
-    current.setDate(current.getDate() + 1);
+// List the public holidays that fall on weekdays within a date range
+function getHolidaysInRange(startDate, endDate, holidays = new Map()) {
+  return [...holidays]
+    .filter(([date]) => {
+      const dayOfWeek = new Date(date).getUTCDay();
+      return date >= startDate && date <= endDate && dayOfWeek !== 0 && dayOfWeek !== 6;
+    })
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, name]) => ({ date, name }));
+}
+
+const WORKDAY_HOURS = parseFloat(process.env.WORKDAY_HOURS) || 8;
+
+// Work out how many days a request costs. Half days and hourly requests only
+// apply to single-day requests; anything longer is counted in whole days.
+function calculateLeaveDuration(ptoRequest, holidays = new Map()) {
+  const businessDays = calculateBusinessDays(ptoRequest.start, ptoRequest.end, holidays);
+  if (businessDays !== 1 || ptoRequest.start !== ptoRequest.end) {
+    return businessDays;
   }
   
-  return count;
+  if (ptoRequest.hours) {
+    return Math.min(ptoRequest.hours / WORKDAY_HOURS, 1);
+  }
+  if (ptoRequest.portion === "am" || ptoRequest.portion === "pm") {
+    return 0.5;
+  }
+  return businessDays;
+}
+
+// Describe the part of the day requested, e.g. " (afternoon only)" or " (3 hours)"
+function describePortion(ptoRequest) {
+  if (ptoRequest.start !== ptoRequest.end) return "";
+  if (ptoRequest.hours) return ` (${ptoRequest.hours} hour${ptoRequest.hours === 1 ? "" : "s"})`;
+  if (ptoRequest.portion === "am") return " (morning only)";
+  if (ptoRequest.portion === "pm") return " (afternoon only)";
+  return "";
+}
+
+// Describe what was left out of a business-day count, e.g. "excluding weekends and Christmas Day (2024-12-25)"
+function formatExclusions(holidaysInRange = []) {
+  if (holidaysInRange.length === 0) return "excluding weekends";
+  const names = holidaysInRange.map(h => `${h.name} (${h.date})`).join(", ");
+  return `excluding weekends and ${names}`;
 }
 
 // Get user info from Slack
 async function getUserInfo(userId) {
   try {
-    const result = await app.client.users.info({ user: userId });
+    const result = await getSlackClient().users.info({ user: userId });
     return {
       id: userId,
       name: result.user.real_name || result.user.name,
-      email: result.user.profile.email
+      email: result.user.profile.email,
+      tz: result.user.tz || "UTC"
     };
   } catch (error) {
     log.error("Failed to get user info from Slack", { userId, error: error.message });
-    return { id: userId, name: "Unknown", email: "" };
+    return { id: userId, name: "Unknown", email: "", tz: "UTC" };
   }
 }
 
-// Get user's PTO history from the sheet
+// Get user's PTO history from storage, with their balance from the accrual policy engine
 async function getUserPTOHistory(userId) {
   try {
-    const client = await auth.getClient();
-    const result = await sheets.spreadsheets.values.get({
-      auth: client,
-      spreadsheetId,
-      range: "PTO_Requests!A2:K1000"
-    });
-    
-    const rows = result.data.values || [];
-    const userRequests = rows.filter(r => r[1] === userId && r[7] === "approved");
+    const userRequests = (await getUserRequests(userId)).filter(r => r.status === "approved");
     
     // Calculate stats
     const totalRequests = userRequests.length;
@@ -132,25 +188,42 @@ async function getUserPTOHistory(userId) {
     
     if (totalRequests > 0) {
       // Find most recent approved request
-      const sortedRequests = userRequests.sort((a, b) => new Date(b[0]) - new Date(a[0]));
-      lastRequestDate = sortedRequests[0][0];
+      const sortedRequests = [...userRequests].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      lastRequestDate = sortedRequests[0].timestamp;
       
       // Sum up total days used
-      totalDaysUsed = userRequests.reduce((sum, req) => sum + (parseInt(req[5]) || 0), 0);
+      totalDaysUsed = userRequests.reduce((sum, req) => sum + req.businessDays, 0);
     }
     
     // Calculate average frequency (requests per month over the last year)
     const oneYearAgo = new Date();
     oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-    const recentRequests = userRequests.filter(r => new Date(r[0]) > oneYearAgo);
+    const recentRequests = userRequests.filter(r => new Date(r.timestamp) > oneYearAgo);
     const avgFrequency = recentRequests.length / 12;
     
+    // Current-year balance per leave type from the user's accrual policy.
+    const { policy, employee } = await getLeavePolicyForUser(userId);
+    const balances = {};
+    for (const leaveType of Object.keys(LEAVE_TYPES)) {
+      const typePolicy = getPolicyForLeaveType(policy, leaveType);
+      if (!typePolicy) continue;
+      balances[leaveType] = calculateBalance({
+        policy: typePolicy,
+        employee,
+        requests: userRequests
+          .filter(r => r.leaveType === leaveType)
+          .map(r => ({ start: r.start, days: r.businessDays }))
+      });
+    }
+    
     return {
       totalRequests,
       lastRequestDate,
       totalDaysUsed,
+      daysUsedThisYear: balances.vacation.used,
       avgRequestsPerMonth: avgFrequency.toFixed(1),
-      daysRemaining: 25 - totalDaysUsed // Assuming 25 days annual allowance
+      daysRemaining: balances.vacation.remaining,
+      balances
     };
   } catch (error) {
     log.error("Failed to get user PTO history", { userId, error: error.message });
@@ -158,31 +231,76 @@ async function getUserPTOHistory(userId) {
       totalRequests: 0,
       lastRequestDate: null,
       totalDaysUsed: 0,
+      daysUsedThisYear: 0,
       avgRequestsPerMonth: 0,
-      daysRemaining: 25
+      daysRemaining: DEFAULT_POLICY.annualAllowance,
+      balances: {}
     };
   }
 }
 
-// Parse PTO request from natural language
+// Fill in defaults on a stored request.
+// Rows logged before leave types existed have no type and count as vacation.
+function normalizeRequest(request) {
+  return { ...request, leaveType: normalizeLeaveType(request.leaveType) };
+}
+
+// Get every request in storage
+async function getAllRequests() {
+  return (await store.listRequests()).map(normalizeRequest);
+}
+
+// Get all of a user's requests, most recent start date first
+async function getUserRequests(userId) {
+  return (await getAllRequests())
+    .filter(r => r.userId === userId)
+    .sort((a, b) => (b.start || "").localeCompare(a.start || ""));
+}
+
+// Parse a PTO request. Common phrasings are handled by the rule-based parser;
+// the LLM is only asked when that finds no dates. Either result is validated
+// before use, and RequestParseError messages are safe to show to the user.
 async function parsePTORequest(text) {
-  const prompt = `Extract PTO request details from: "${text}"
+  const today = new Date().toISOString().split("T")[0];
+  const parsed = parseRequestLocally(text, { today }) || await parseWithLLM(text, today);
+  const request = validateParsedRequest(parsed, { today, workdayHours: WORKDAY_HOURS });
+  return { ...request, leaveType: normalizeLeaveType(request.leaveType) };
+}
+
+// Ask the LLM for the request details. Only the JSON shape is checked here.
+async function parseWithLLM(text, today) {
+  if (!process.env.OPENROUTER_API_KEY) {
+    throw new RequestParseError("I couldn't find any dates in your message.");
+  }
   
+  const prompt = `Extract PTO request details from: "${text}"
+
 Return a JSON object with:
 - start: YYYY-MM-DD format
 - end: YYYY-MM-DD format  
 - reason: brief description
+- leaveType: "vacation", "sick", "parental" or "unpaid" (default "vacation")
+- portion: "full", "am" (morning off) or "pm" (afternoon off)
+- hours: number of hours off if the request is for a number of hours, otherwise null
 
 If only one date mentioned, use it for both start and end.
-Today's date is ${new Date().toISOString().split('T')[0]}.
+If no date is mentioned, use null for start and end.
+Half days and hours only apply to single-day requests; otherwise use "full" and null.
+Today's date is ${today}.
 
 Examples:
 "next Monday to Friday for vacation" -> parse the actual dates
 "December 25-27 for holidays" -> parse the actual dates
 "tomorrow for a doctor appointment" -> parse tomorrow's date for both start and end
+"Friday afternoon off for the dentist" -> Friday's date for both, portion "pm"
+"2 hours on Tuesday morning for the bank" -> Tuesday's date for both, portion "am", hours 2
+"I'm sick today" -> today's date for both, leaveType "sick"
+"I was sick last Friday" -> the most recent Friday before today for both, leaveType "sick"
+"next Monday for 2 days" -> next Monday to the business day after it
 
 Return ONLY valid JSON, no other text.`;
 
+  let parsed;
   try {
     const res = await fetch("https://openrouter.ai/api/v1/chat/completions", {
       method: "POST",
@@ -195,465 +313,3017 @@ Return ONLY valid JSON, no other text.`;
         messages: [{ role: "user", content: prompt }]
       })
     });
+    if (!res.ok) throw new Error(`OpenRouter responded with ${res.status}`);
     
     const data = await res.json();
-    const parsed = JSON.parse(data.choices[0].message.content.trim());
-    
-    return parsed;
+    parsed = JSON.parse(data.choices[0].message.content.trim().replace(/^```(?:json)?|```$/g, ""));
   } catch (error) {
     log.error("Failed to parse PTO request", { text, error: error.message });
-    throw new Error("Could not understand the date request. Please try again with specific dates.");
+    throw new RequestParseError("I couldn't work out the dates in your message.");
   }
+  
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    log.error("LLM returned an unexpected shape", { text, parsed });
+    throw new RequestParseError("I couldn't work out the dates in your message.");
+  }
+  return parsed;
 }
 
-// Log request to Google Sheets
+// Log a new request to storage
 async function logRequest(requestData) {
   try {
-    const client = await auth.getClient();
-    
-    const values = [[
-      new Date().toISOString(),           // timestamp
-      requestData.userId,                  // user_id
-      requestData.userName,                 // user_name
-      requestData.start,                    // start_date
-      requestData.end,                      // end_date
-      requestData.businessDays,             // vacation_length
-      requestData.reason,                   // reason
-      requestData.status,                   // status
-      requestData.managerId,                // manager_id
-      requestData.managerName               // manager_name
-    ]];
-    
-    const result = await sheets.spreadsheets.values.append({
-      auth: client,
-      spreadsheetId,
-      range: "PTO_Requests!A2:J2",
-      valueInputOption: "USER_ENTERED",
-      requestBody: { values }
-    });
-    
-    log.info("Request logged to Google Sheets", { requestData });
-    return result;
+    await store.insertRequest({
+      timestamp: new Date().toISOString(),
+      requestId: requestData.requestId,
+      userId: requestData.userId,
+      userName: requestData.userName,
+      start: requestData.start,
+      end: requestData.end,
+      businessDays: requestData.businessDays,
+      reason: requestData.reason,
+      status: requestData.status,
+      managerId: requestData.managerId,
+      managerName: requestData.managerName,
+      leaveType: requestData.leaveType || "vacation",
+      portion: requestData.portion || "full",
+      hours: requestData.hours || null,
+      approvalChain: (requestData.approvalChain || []).join(","),
+      stepStartedAt: new Date().toISOString(),
+      delegatedFrom: requestData.delegatedFrom || ""
+    });
+    
+    log.info("Request logged", { backend: store.name, requestData });
   } catch (error) {
     log.error("Failed to log request", { error: error.message });
     throw error;
   }
 }
 
-// Update request status in Google Sheets
-async function updateRequestStatus(userId, start, end, newStatus, approverId) {
-  try {
-    const client = await auth.getClient();
-    
-    // Get all requests
-    const result = await sheets.spreadsheets.values.get({
-      auth: client,
-      spreadsheetId,
-      range: "PTO_Requests!A2:J1000"
-    });
-    
-    const rows = result.data.values || [];
-    const rowIndex = rows.findIndex(r => 
-      r[1] === userId && 
-      r[3] === start && 
-      r[4] === end && 
-      r[7] === "pending"
-    );
-    
-    if (rowIndex === -1) {
-      log.error("No matching pending request found", { userId, start, end });
-      return false;
-    }
-    
-    // Update status column (H = column 8)
-    await sheets.spreadsheets.values.update({
-      auth: client,
-      spreadsheetId,
-      range: `PTO_Requests!H${rowIndex + 2}`,
-      valueInputOption: "USER_ENTERED",
-      requestBody: {
-        values: [[newStatus]]
-      }
-    });
-    
-    log.info("Request status updated", { userId, start, end, newStatus });
-    return true;
-  } catch (error) {
-    log.error("Failed to update request status", { error: error.message });
-    return false;
-  }
+// Generate a stable ID for a new request
+function generateRequestId() {
+  return `pto_${crypto.randomUUID()}`;
 }
 
-// Get manager ID (simplified - you might want to use a lookup table)
-function getManagerId(userId) {
-  // For now, use the HR_SLACK_ID as the default manager
-  // In production, you'd look this up from a Teams sheet or Slack workspace
-  return process.env.HR_SLACK_ID || "U07T2QXUZPL";
+// Get a single request by its ID, or null
+async function getRequestById(requestId) {
+  const request = await store.getRequest(requestId);
+  return request ? normalizeRequest(request) : null;
 }
 
-// --- Main Slack Event Handlers ---
-
-// Handle DM messages to the bot
-async function handleDirectMessage({ message, client, say }) {
-  const userId = message.user;
-  const text = message.text;
-  
-  log.info("DM received", { userId, text });
+// The request a button is for. Buttons sent before requests had IDs carry the request's
+// details as JSON ({ userId, start, end, ... }) instead; those are matched on the dates,
+// preferring a request still pending. Returns the request ID, or null.
+async function requestIdFromButton(value) {
+  if (!value?.startsWith("{")) return value;
   
+  let legacy;
   try {
-    // Get user info
-    const userInfo = await getUserInfo(userId);
-    
-    // Parse the PTO request
-    const ptoRequest = await parsePTORequest(text);
-    
-    // Calculate business days
-    const businessDays = calculateBusinessDays(ptoRequest.start, ptoRequest.end);
-    
-    // Get user's PTO history
-    const history = await getUserPTOHistory(userId);
-    
-    // Check if user has enough days
-    if (businessDays > history.daysRemaining) {
-      await say(`❌ Sorry, you're requesting ${businessDays} days but only have ${history.daysRemaining} days remaining in your balance.`);
-      return;
-    }
-    
-    // Send confirmation message
-    await say({
-      text: `Please confirm your PTO request:`,
-      blocks: [
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `*Please confirm your PTO request:*\n\n` +
-                  `📅 *Dates:* ${ptoRequest.start} to ${ptoRequest.end}\n` +
-                  `📊 *Business days:* ${businessDays} days (excluding weekends)\n` +
-                  `📝 *Reason:* ${ptoRequest.reason}\n` +
-                  `💰 *Your balance after approval:* ${history.daysRemaining - businessDays} days remaining`
-          }
-        },
-        {
-          type: "actions",
-          elements: [
-            {
-              type: "button",
-              text: {
-                type: "plain_text",
-                text: "✅ Confirm Request"
-              },
-              style: "primary",
-              action_id: "confirm_pto",
-              value: JSON.stringify({
-                userId,
-                userName: userInfo.name,
-                start: ptoRequest.start,
-                end: ptoRequest.end,
-                businessDays,
-                reason: ptoRequest.reason,
-                history
-              })
-            },
-            {
-              type: "button",
-              text: {
-                type: "plain_text",
-                text: "❌ Cancel"
-              },
-              style: "danger",
-              action_id: "cancel_pto"
-            }
-          ]
-        }
-      ]
-    });
-    
+    legacy = JSON.parse(value);
   } catch (error) {
-    log.error("Error processing PTO request", { error: error.message });
-    await say(`❌ Sorry, I couldn't understand your request. Please try again with a format like:\n"I need next Monday to Friday off for vacation"`);
+    log.error("Unreadable button value", { value, error: error.message });
+    return null;
   }
+  const matches = (await getAllRequests())
+    .filter(r => r.userId === legacy.userId && r.start === legacy.start && r.end === legacy.end);
+  return (matches.find(r => isPending(r.status)) || matches.at(-1))?.requestId || null;
 }
 
-// Handle PTO confirmation
-async function handleConfirmPTO({ ack, body, client }) {
-  await ack();
-  
-  const requestData = JSON.parse(body.actions[0].value);
-  const managerId = getManagerId(requestData.userId);
-  const managerInfo = await getUserInfo(managerId);
-  
-  try {
-    // Log the request as pending
-    await logRequest({
-      ...requestData,
-      status: "pending",
-      managerId: managerId,
-      managerName: managerInfo.name
-    });
-    
-    // Calculate context for manager
-    const daysSinceLastRequest = requestData.history.lastRequestDate 
-      ? Math.floor((new Date() - new Date(requestData.history.lastRequestDate)) / (1000 * 60 * 60 * 24))
-      : "N/A (first request)";
-    
-    // Send to manager for approval
-    await client.chat.postMessage({
-      channel: managerId,
-      text: `New PTO request from ${requestData.userName}`,
-      blocks: [
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `*New PTO Request*\n\n` +
-                  `👤 *Employee:* ${requestData.userName} (<@${requestData.userId}>)\n` +
-                  `📅 *Dates:* ${requestData.start} to ${requestData.end}\n` +
-                  `📊 *Business days:* ${requestData.businessDays} days\n` +
-                  `📝 *Reason:* ${requestData.reason}\n\n` +
-                  `*Context:*\n` +
-                  `• Current balance: ${requestData.history.daysRemaining} days\n` +
-                  `• After approval: ${requestData.history.daysRemaining - requestData.businessDays} days\n` +
-                  `• Days since last request: ${daysSinceLastRequest}\n` +
-                  `• Average requests/month: ${requestData.history.avgRequestsPerMonth}\n` +
-                  `• Total days used this year: ${requestData.history.totalDaysUsed}`
-          }
-        },
-        {
-          type: "actions",
-          elements: [
-            {
-              type: "button",
-              text: {
-                type: "plain_text",
-                text: "✅ Approve"
-              },
-              style: "primary",
-              action_id: "approve_pto",
-              value: JSON.stringify({
-                userId: requestData.userId,
-                userName: requestData.userName,
-                start: requestData.start,
-                end: requestData.end,
-                businessDays: requestData.businessDays
-              })
-            },
-            {
-              type: "button",
-              text: {
-                type: "plain_text",
-                text: "❌ Deny"
-              },
-              style: "danger",
-              action_id: "deny_pto",
-              value: JSON.stringify({
-                userId: requestData.userId,
-                userName: requestData.userName,
-                start: requestData.start,
-                end: requestData.end
-              })
-            }
-          ]
-        }
-      ]
-    });
-    
-    // Update the user's message
-    await client.chat.update({
-      channel: body.channel.id,
-      ts: body.message.ts,
-      text: "✅ Your PTO request has been submitted for approval. You'll be notified once your manager reviews it.",
-      blocks: []
-    });
-    
-  } catch (error) {
-    log.error("Error submitting PTO request", { error: error.message });
-    
-    await client.chat.postMessage({
-      channel: requestData.userId,
-      text: "❌ Sorry, there was an error submitting your request. Please try again."
-    });
+// Update a request's status, recording who made the change and when.
+// Only requests currently in one of `fromStatuses` are updated (any pending status by default).
+// Returns the request as it was before the update, or null if nothing matched.
+async function updateRequestStatus(requestId, newStatus, approverId, fromStatuses = null) {
+  const request = await getRequestById(requestId);
+  if (!request || !(fromStatuses ? fromStatuses.includes(request.status) : isPending(request.status))) {
+    log.error("No matching request found", { requestId, fromStatuses, status: request?.status });
+    return null;
   }
-}
-
-// Handle PTO cancellation
-async function handleCancelPTO({ ack, body, client }) {
-  await ack();
   
-  await client.chat.update({
-    channel: body.channel.id,
-    ts: body.message.ts,
-    text: "❌ PTO request cancelled.",
-    blocks: []
+  await store.updateRequest(requestId, {
+    status: newStatus,
+    approverId,
+    decidedAt: new Date().toISOString()
   });
+  
+  log.info("Request status updated", { requestId, newStatus, approverId });
+  return request;
 }
 
-// Handle PTO approval
-async function handleApprovePTO({ ack, body, client }) {
-  await ack();
-  
-  const requestData = JSON.parse(body.actions[0].value);
-  const approverId = body.user.id;
-  
+// Record where the manager's approval message lives so it can be edited later
+async function setApprovalMessage(requestId, channel, ts) {
   try {
-    // Update status in Google Sheets
-    const updated = await updateRequestStatus(
-      requestData.userId,
-      requestData.start,
-      requestData.end,
-      "approved",
-      approverId
-    );
-    
+    const updated = await store.updateRequest(requestId, { approvalChannel: channel, approvalTs: ts });
     if (!updated) {
-      throw new Error("Could not find the request to update");
+      log.error("No request found for approval message", { requestId });
+      return false;
     }
-    
-    // Notify the employee
-    await client.chat.postMessage({
-      channel: requestData.userId,
-      text: `✅ Good news! Your PTO request has been approved!\n\n` +
-            `📅 *Dates:* ${requestData.start} to ${requestData.end}\n` +
-            `📊 *Business days:* ${requestData.businessDays} days\n` +
-            `✅ *Approved by:* <@${approverId}>\n\n` +
-            `Enjoy your time off! 🎉`
-    });
-    
-    // Update the manager's message
-    await client.chat.update({
-      channel: body.channel.id,
-      ts: body.message.ts,
-      text: `✅ PTO request for ${requestData.userName} has been approved.`,
-      blocks: []
-    });
-    
+    return true;
   } catch (error) {
-    log.error("Error approving PTO request", { error: error.message });
-    
-    await client.chat.postMessage({
-      channel: approverId,
-      text: "❌ There was an error processing the approval. Please check the Google Sheet directly."
-    });
+    log.error("Failed to record approval message", { error: error.message });
+    return false;
   }
 }
 
-// Handle PTO denial
-async function handleDenyPTO({ ack, body, client }) {
-  await ack();
-  
-  const requestData = JSON.parse(body.actions[0].value);
-  const denierId = body.user.id;
-  
+// Record a request's calendar event IDs
+async function setCalendarEvents(requestId, employeeEventId, teamEventId) {
   try {
-    // Update status in Google Sheets
-    const updated = await updateRequestStatus(
-      requestData.userId,
-      requestData.start,
-      requestData.end,
-      "denied",
-      denierId
-    );
-    
+    const updated = await store.updateRequest(requestId, {
+      employeeEventId: employeeEventId || null,
+      teamEventId: teamEventId || null
+    });
     if (!updated) {
-      throw new Error("Could not find the request to update");
+      log.error("No request found for calendar events", { requestId });
+      return false;
     }
-    
-    // Notify the employee
-    await client.chat.postMessage({
-      channel: requestData.userId,
-      text: `❌ Your PTO request has been denied.\n\n` +
-            `📅 *Dates:* ${requestData.start} to ${requestData.end}\n` +
-            `❌ *Denied by:* <@${denierId}>\n\n` +
-            `Please speak with your manager if you have questions.`
-    });
-    
-    // Update the manager's message
-    await client.chat.update({
-      channel: body.channel.id,
-      ts: body.message.ts,
-      text: `❌ PTO request for ${requestData.userName} has been denied.`,
-      blocks: []
-    });
-    
+    return true;
   } catch (error) {
-    log.error("Error denying PTO request", { error: error.message });
-    
-    await client.chat.postMessage({
-      channel: denierId,
-      text: "❌ There was an error processing the denial. Please check the Google Sheet directly."
-    });
+    log.error("Failed to record calendar events", { error: error.message });
+    return false;
   }
 }
 
-// These app.message and app.action handlers are for local development/testing
-// In production on Vercel, the handler function routes directly to the handler functions
-if (process.env.NODE_ENV !== 'production') {
-  app.message(async ({ message, client, say }) => {
-    if (message.channel_type === 'im' && !message.bot_id) {
-      await handleDirectMessage({ message, client, say });
-    }
-  });
+// --- Configuration tabs (Teams, Holidays) ---
+
+const HR_SLACK_ID = process.env.HR_SLACK_ID || "U07T2QXUZPL";
+// Slack users who may decide on any request: HR_SLACK_ID plus a comma-separated HR_ADMIN_IDS
+const HR_ADMIN_IDS = new Set([HR_SLACK_ID, ...(process.env.HR_ADMIN_IDS || "").split(",").map(id => id.trim()).filter(Boolean)]);
+const DEFAULT_REGION = process.env.DEFAULT_REGION || "";
+const CONFIG_CACHE_TTL_MS = parseInt(process.env.CONFIG_CACHE_TTL_MS) || 5 * 60 * 1000;
+
+const configCache = new Map();
+
+// Read a configuration tab, cached between invocations.
+// On failure, stale rows are served if we have them.
+async function readConfigTab(tab) {
+  const now = Date.now();
+  const cached = configCache.get(tab);
+  if (cached && now - cached.fetchedAt < CONFIG_CACHE_TTL_MS) {
+    return cached.rows;
+  }
   
-  app.action("confirm_pto", handleConfirmPTO);
-  app.action("cancel_pto", handleCancelPTO);
-  app.action("approve_pto", handleApprovePTO);
-  app.action("deny_pto", handleDenyPTO);
+  try {
+    const rows = await store.readConfig(tab);
+    configCache.set(tab, { rows, fetchedAt: now });
+    log.info("Configuration tab loaded", { tab, rows: rows.length });
+    return rows;
+  } catch (error) {
+    log.error("Failed to load configuration tab", { tab, error: error.message });
+    return cached ? cached.rows : [];
+  }
 }
 
-// --- Vercel Handler ---
-export default async function handler(req, res) {
-  log.info("Vercel handler invoked", {
-    method: req.method,
-    url: req.url,
-    contentType: req.headers["content-type"]
-  });
+// Load the Teams tab, keyed by employee Slack ID
+// Columns: A employee_id, B manager_id, C team, D backup_approver, E region
+async function getTeamDirectory() {
+  const rows = await readConfigTab("Teams");
   
-  if (req.method !== "POST") {
-    res.statusCode = 404;
-    return res.end("Not found");
+  const entries = new Map();
+  for (const row of rows) {
+    const employeeId = (row[0] || "").trim();
+    if (!employeeId) continue;
+    entries.set(employeeId, {
+      employeeId,
+      managerId: (row[1] || "").trim() || null,
+      team: (row[2] || "").trim() || null,
+      backupApproverId: (row[3] || "").trim() || null,
+      region: (row[4] || "").trim().toUpperCase() || null
+    });
   }
   
-  // Read the raw body
-  const chunks = [];
-  for await (const chunk of req) {
-    chunks.push(chunk);
+  return entries;
+}
+
+// Load the Holidays tab, grouped by region
+// Columns: A region (e.g. IT, UK, US, US-NY), B date (YYYY-MM-DD), C name
+async function getHolidayCalendar() {
+  const rows = await readConfigTab("Holidays");
+  
+  const calendar = new Map();
+  for (const row of rows) {
+    const region = (row[0] || "").trim().toUpperCase();
+    const date = (row[1] || "").trim();
+    if (!region || !/^\d{4}-\d{2}-\d{2}$/.test(date)) continue;
+    if (!calendar.has(region)) calendar.set(region, new Map());
+    calendar.get(region).set(date, (row[2] || "").trim() || "Public holiday");
   }
-  const rawBody = Buffer.concat(chunks).toString();
   
-  // Check for Slack URL verification
-  const contentType = req.headers["content-type"] || "";
-  if (contentType.includes("application/json")) {
-    try {
-      const payload = JSON.parse(rawBody);
-      if (payload.type === "url_verification" && payload.challenge) {
-        res.statusCode = 200;
-        res.setHeader("Content-Type", "text/plain");
-        return res.end(payload.challenge);
-      }
-    } catch (e) {
-      // Not a verification request
-    }
+  return calendar;
+}
+
+// Get the public holidays that apply to a user, as a Map of date -> name.
+// A sub-region such as "US-NY" also inherits the country-wide "US" holidays.
+async function getHolidaysForUser(userId) {
+  const directory = await getTeamDirectory();
+  const region = directory.get(userId)?.region || DEFAULT_REGION.toUpperCase();
+  if (!region) return new Map();
+  
+  const calendar = await getHolidayCalendar();
+  const holidays = new Map();
+  const parts = region.split("-");
+  for (let i = 1; i <= parts.length; i++) {
+    const regionHolidays = calendar.get(parts.slice(0, i).join("-"));
+    if (!regionHolidays) continue;
+    for (const [date, name] of regionHolidays) holidays.set(date, name);
   }
   
-  // Verify Slack signature
-  const signature = req.headers["x-slack-signature"];
-  const timestamp = req.headers["x-slack-request-timestamp"];
+  return holidays;
+}
+
+// Resolve who should approve a user's request.
+// Order: manager -> backup approver -> HR. `source` tells the caller which one was used.
+async function getManagerId(userId) {
+  const directory = await getTeamDirectory();
+  const entry = directory.get(userId);
   
-  if (!signature || !timestamp) {
-    res.statusCode = 400;
-    return res.end("Bad request");
+  if (!entry) {
+    return { managerId: HR_SLACK_ID, team: null, source: "unmapped" };
   }
   
-  const isValid = await receiver.verifySignature(rawBody, signature, timestamp);
-  if (!isValid) {
-    res.statusCode = 401;
-    return res.end("Unauthorized");
+  if (entry.managerId && entry.managerId !== userId) {
+    return { managerId: entry.managerId, team: entry.team, source: "manager" };
   }
   
-  // Process the request
-  try {
-    let body;
-    
+  if (entry.backupApproverId && entry.backupApproverId !== userId) {
+    return { managerId: entry.backupApproverId, team: entry.team, source: "backup" };
+  }
+  
+  return { managerId: HR_SLACK_ID, team: entry.team, source: "hr" };
+}
+
+// --- Accrual policies (Policies / Employees sheets) ---
+
+// Used for anyone without a row in the Employees tab, or whose policy is missing
+const DEFAULT_POLICY = {
+  policyId: "default",
+  annualAllowance: parseFloat(process.env.DEFAULT_ANNUAL_ALLOWANCE) || 25,
+  accrual: "yearly",
+  carryOverCap: 0,
+  carryOverExpiry: null,
+  sickAllowance: parseFloat(process.env.DEFAULT_SICK_ALLOWANCE) || null,
+  parentalAllowance: parseFloat(process.env.DEFAULT_PARENTAL_ALLOWANCE) || null,
+  staleAction: normalizeStaleAction(process.env.STALE_REQUEST_ACTION),
+  staleAfterDays: parseInt(process.env.STALE_REQUEST_AFTER_DAYS) || 10
+};
+
+// What happens to a request nobody decides on: "approve", "expire" or "none"
+function normalizeStaleAction(value) {
+  const action = String(value || "").trim().toLowerCase();
+  return ["approve", "expire"].includes(action) ? action : "none";
+}
+
+// Leave types and their rules. `approver` is who decides ("manager" or "hr");
+// `allowanceField` names the policy field holding the type's yearly allowance
+// (vacation uses the accrual policy itself, unpaid leave has no balance at all).
+const LEAVE_TYPES = {
+  vacation: { label: "Vacation", emoji: "🌴", requiresApproval: true, approver: "manager" },
+  sick: { label: "Sick leave", emoji: "🤒", requiresApproval: false, approver: "manager", allowanceField: "sickAllowance" },
+  parental: { label: "Parental leave", emoji: "👶", requiresApproval: true, approver: "hr", allowanceField: "parentalAllowance" },
+  unpaid: { label: "Unpaid leave", emoji: "🗓️", requiresApproval: true, approver: "manager", untracked: true }
+};
+
+// Normalize a leave type string, defaulting to vacation
+function normalizeLeaveType(value) {
+  const type = String(value || "").trim().toLowerCase();
+  return LEAVE_TYPES[type] ? type : "vacation";
+}
+
+// Load the Policies tab, keyed by policy ID
+// Columns: A policy_id, B annual_allowance, C accrual (monthly|yearly), D carry_over_cap, E carry_over_expiry (MM-DD),
+//          F sick_allowance, G parental_allowance (blank = DEFAULT_*_ALLOWANCE, or untracked if that is unset too),
+//          H stale_action (approve|expire|none), I stale_after_days (blank = the STALE_REQUEST_* defaults)
+async function getPolicies() {
+  const rows = await readConfigTab("Policies");
+  
+  const policies = new Map();
+  for (const row of rows) {
+    const policyId = (row[0] || "").trim();
+    if (!policyId) continue;
+    const expiry = (row[4] || "").trim();
+    policies.set(policyId, {
+      policyId,
+      annualAllowance: parseDays(row[1]),
+      accrual: (row[2] || "").trim().toLowerCase() === "monthly" ? "monthly" : "yearly",
+      carryOverCap: parseDays(row[3]),
+      carryOverExpiry: /^\d{2}-\d{2}$/.test(expiry) ? expiry : null,
+      sickAllowance: (row[5] || "").trim() ? parseDays(row[5]) : DEFAULT_POLICY.sickAllowance,
+      parentalAllowance: (row[6] || "").trim() ? parseDays(row[6]) : DEFAULT_POLICY.parentalAllowance,
+      staleAction: (row[7] || "").trim() ? normalizeStaleAction(row[7]) : DEFAULT_POLICY.staleAction,
+      staleAfterDays: parseInt(row[8]) || DEFAULT_POLICY.staleAfterDays
+    });
+  }
+  
+  return policies;
+}
+
+// Load the Employees tab, keyed by employee Slack ID
+// Columns: A employee_id, B policy_id, C start_date (YYYY-MM-DD), D fte (e.g. 0.6 for three days a week)
+async function getEmployeeRecords() {
+  const rows = await readConfigTab("Employees");
+  
+  const employees = new Map();
+  for (const row of rows) {
+    const employeeId = (row[0] || "").trim();
+    if (!employeeId) continue;
+    const startDate = (row[2] || "").trim();
+    const fte = parseDays(row[3]);
+    employees.set(employeeId, {
+      employeeId,
+      policyId: (row[1] || "").trim() || null,
+      startDate: /^\d{4}-\d{2}-\d{2}$/.test(startDate) ? startDate : null,
+      fte: fte > 0 && fte <= 1 ? fte : 1
+    });
+  }
+  
+  return employees;
+}
+
+// Get the accrual policy and employment details that apply to a user
+async function getLeavePolicyForUser(userId) {
+  const [policies, employees] = await Promise.all([getPolicies(), getEmployeeRecords()]);
+  const employee = employees.get(userId) || { employeeId: userId, policyId: null, startDate: null, fte: 1 };
+  const policy = policies.get(employee.policyId) || DEFAULT_POLICY;
+  return { policy, employee };
+}
+
+// Derive the policy that governs a leave type's balance, or null if the type has no balance.
+// Types other than vacation get a flat yearly allowance with no carry-over.
+function getPolicyForLeaveType(policy, leaveType) {
+  const type = LEAVE_TYPES[leaveType];
+  if (!type || type.untracked) return null;
+  if (!type.allowanceField) return policy;
+  
+  const allowance = policy[type.allowanceField];
+  if (allowance === null || allowance === undefined) return null;
+  return {
+    policyId: policy.policyId,
+    annualAllowance: allowance,
+    accrual: "yearly",
+    carryOverCap: 0,
+    carryOverExpiry: null
+  };
+}
+
+// Remaining days for a leave type from a history object, or null when the type has no balance
+function getRemainingForType(history, leaveType) {
+  const balance = history.balances?.[leaveType];
+  if (balance) return balance.remaining;
+  if (leaveType === "vacation") return history.daysRemaining;
+  return null;
+}
+
+// Summarize where a balance comes from, e.g. "12.5 accrued + 3 carried over − 4 used"
+function formatBalanceBreakdown(balance) {
+  let text = `${formatDays(balance.accrued)} accrued`;
+  if (balance.carriedOver > 0) {
+    text += ` + ${formatDays(balance.carriedOver - balance.carryOverForfeited)} carried over`;
+    if (balance.carryOverExpires && balance.carryOverForfeited === 0) {
+      text += ` (expires ${balance.carryOverExpires})`;
+    }
+  }
+  return `${text} − ${formatDays(balance.used)} used`;
+}
+
+// --- Team coverage (Team_Settings sheet) ---
+
+// Load the Team_Settings tab, keyed by team name
+// Columns: A team, B min_coverage (people who must be working on every business day),
+//          C calendar_id (shared out-of-office calendar; defaults to TEAM_CALENDAR_ID),
+//          D digest_channel (Slack channel ID for the morning "who's out" digest)
+async function getTeamSettings() {
+  const rows = await readConfigTab("Team_Settings");
+  
+  const settings = new Map();
+  for (const row of rows) {
+    const team = (row[0] || "").trim();
+    if (!team) continue;
+    const minCoverage = parseInt(row[1]);
+    settings.set(team, {
+      team,
+      minCoverage: minCoverage > 0 ? minCoverage : null,
+      calendarId: (row[2] || "").trim() || null,
+      digestChannel: (row[3] || "").trim() || null
+    });
+  }
+  
+  return settings;
+}
+
+// List the weekdays (YYYY-MM-DD) between two dates, inclusive
+function listWeekdays(startDate, endDate) {
+  const dates = [];
+  const current = new Date(startDate);
+  const end = new Date(endDate);
+  
+  while (current <= end) {
+    const dayOfWeek = current.getUTCDay();
+    if (dayOfWeek !== 0 && dayOfWeek !== 6) {
+      dates.push(current.toISOString().split("T")[0]);
+    }
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  
+  return dates;
+}
+
+// Find teammates who are off (approved or pending) during a date range, and the
+// days on which the team would drop below its minimum coverage if this user were off too.
+// Returns null when the user has no team in the Teams sheet.
+async function getTeamOverlap(userId, start, end) {
+  const directory = await getTeamDirectory();
+  const team = directory.get(userId)?.team;
+  if (!team) return null;
+  
+  const members = [...directory.values()].filter(e => e.team === team).map(e => e.employeeId);
+  const minCoverage = (await getTeamSettings()).get(team)?.minCoverage || null;
+  
+  const overlapping = (await getAllRequests())
+    .filter(r =>
+      r.userId !== userId &&
+      members.includes(r.userId) &&
+      (r.status === "approved" || isPending(r.status)) &&
+      r.start <= end &&
+      r.end >= start
+    )
+    .sort((a, b) => a.start.localeCompare(b.start));
+  
+  const breaches = [];
+  if (minCoverage) {
+    for (const date of listWeekdays(start, end)) {
+      const out = new Set(overlapping.filter(r => r.start <= date && r.end >= date).map(r => r.userId));
+      out.add(userId);
+      const available = members.length - out.size;
+      if (available < minCoverage) {
+        breaches.push({ date, available });
+      }
+    }
+  }
+  
+  return { team, teamSize: members.length, minCoverage, overlapping, breaches };
+}
+
+// Describe a team overlap for a message; empty when there is nothing to report
+// and `showEmpty` is off (the employee only hears about actual overlaps).
+function formatTeamOverlap(overlap, { showEmpty = false } = {}) {
+  if (!overlap) return "";
+  if (overlap.overlapping.length === 0 && overlap.breaches.length === 0) {
+    return showEmpty ? `👥 No one else on ${overlap.team} is off on these dates.` : "";
+  }
+  
+  let text = `*👥 Also off on ${overlap.team} (${overlap.teamSize} people):*`;
+  for (const r of overlap.overlapping) {
+    const dates = r.start === r.end ? r.start : `${r.start} to ${r.end}`;
+    text += `\n• ${r.userName} – ${dates} (${r.status})`;
+  }
+  if (overlap.breaches.length > 0) {
+    const days = overlap.breaches.map(b => `${b.date} (${b.available} available)`).join(", ");
+    text += `\n⚠️ *Below the minimum coverage of ${overlap.minCoverage}* on ${days}`;
+  }
+  return text;
+}
+
+// Look up team overlap without letting a Sheets hiccup block the request
+async function getTeamOverlapSafely(userId, start, end) {
+  try {
+    return await getTeamOverlap(userId, start, end);
+  } catch (error) {
+    log.error("Failed to check team overlap", { userId, error: error.message });
+    return null;
+  }
+}
+
+// --- Leave rules (Leave_Rules sheet) ---
+// Notice, blackout, length and overlap rules per team; see lib/rules.js for the columns.
+
+async function getLeaveRules() {
+  return parseRuleRows(await readConfigTab("Leave_Rules"));
+}
+
+// Check a request against the rules for the employee's team. The request itself and
+// any `replacing` request (the original of an edit) don't count as overlaps; notice is
+// measured from `asOf` (today unless the request was made earlier).
+async function checkLeaveRules(request, { replacing = null, asOf = null } = {}) {
+  const directory = await getTeamDirectory();
+  const rules = rulesForTeam(await getLeaveRules(), directory.get(request.userId)?.team);
+  
+  const ownRequests = (await getAllRequests())
+    .filter(r =>
+      r.userId === request.userId &&
+      r.requestId !== request.requestId &&
+      r.requestId !== replacing &&
+      (r.status === "approved" || isPending(r.status))
+    )
+    .map(r => ({ ...r, status: isPending(r.status) ? "pending" : r.status }));
+  
+  return evaluateRules(request, rules, {
+    today: asOf || new Date().toISOString().split("T")[0],
+    ownRequests,
+    holidays: await getHolidaysForUser(request.userId),
+    planned: LEAVE_TYPES[normalizeLeaveType(request.leaveType)].requiresApproval
+  });
+}
+
+// List rule violations for a message, blocks first
+function formatViolations(violations = []) {
+  return [...violations]
+    .sort((a, b) => (a.severity === "block" ? 0 : 1) - (b.severity === "block" ? 0 : 1))
+    .map(v => `${v.severity === "block" ? "⛔" : "⚠️"} ${v.message}`)
+    .join("\n");
+}
+
+// --- Approval delegation ---
+// Approvers can hand their approvals to someone else for a date range ("/pto delegate
+// @someone Dec 23-27", or the same as a DM). An approver on approved leave without a
+// delegate is covered by the employee's backup approver, else HR. A request routed this
+// way keeps the original approver in delegatedFrom, and they can still decide on it.
+
+const DELEGATION_USAGE = "To hand over your approvals while you're away, say `delegate @someone Dec 23-27`. " +
+  "`delegate off` stops it.";
+
+// Delegations used to be kept as sessions under this key; still read until they run out
+const legacyDelegationKey = (userId) => `delegation:${userId}`;
+
+// Someone's current or upcoming delegation as { delegateId, start, end }, or null
+async function getDelegation(userId) {
+  const today = new Date().toISOString().split("T")[0];
+  const delegation = (await store.getDelegation(userId)) || (await store.getSession(legacyDelegationKey(userId)));
+  return delegation && delegation.end >= today ? delegation : null;
+}
+
+// Whether someone has approved leave covering a date
+async function isOnLeave(userId, date) {
+  return (await getUserRequests(userId)).some(r => r.status === "approved" && r.start <= date && r.end >= date);
+}
+
+// Who handles an approver's requests on `date`: their delegate while one is set, or
+// while they're on leave the requester's backup approver (else HR). Follows a cover who
+// is away too, for a few hops. Returns { approverId, delegatedFrom } (null when nobody stands in).
+async function findAvailableApprover(approverId, requesterId, date = new Date().toISOString().split("T")[0]) {
+  const visited = new Set([approverId]);
+  let current = approverId;
+  
+  for (let hop = 0; hop < 3; hop++) {
+    const delegation = await getDelegation(current);
+    let cover = null;
+    if (delegation && delegation.start <= date && delegation.end >= date) {
+      cover = delegation.delegateId;
+    } else if (await isOnLeave(current, date)) {
+      const backup = (await getTeamDirectory()).get(requesterId)?.backupApproverId;
+      cover = backup && backup !== requesterId && !visited.has(backup) ? backup : HR_SLACK_ID;
+    }
+    if (!cover || cover === requesterId || visited.has(cover)) break;
+    
+    visited.add(cover);
+    current = cover;
+  }
+  
+  return { approverId: current, delegatedFrom: current === approverId ? null : approverId };
+}
+
+// Set, show or clear a delegation from "@someone Dec 23-27", "off" or nothing. Returns the reply.
+async function updateDelegation(userId, text, client) {
+  const today = new Date().toISOString().split("T")[0];
+  
+  if (!text) {
+    const delegation = await getDelegation(userId);
+    return delegation
+      ? `↪️ <@${delegation.delegateId}> handles your approvals from ${delegation.start} to ${delegation.end}. \`delegate off\` stops it.`
+      : `You haven't set a delegate. ${DELEGATION_USAGE}`;
+  }
+  if (/^(off|none|stop|clear)$/i.test(text)) {
+    await store.setDelegation(userId, null);
+    if (await store.getSession(legacyDelegationKey(userId))) await store.deleteSession(legacyDelegationKey(userId));
+    return "✅ Your approvals come to you again.";
+  }
+  
+  const mention = text.match(/<@([A-Z0-9]+)(?:\|[^>]*)?>/);
+  if (!mention) return DELEGATION_USAGE;
+  const delegateId = mention[1];
+  if (delegateId === userId) return "❌ You can't delegate your approvals to yourself.";
+  
+  let dates;
+  try {
+    dates = extractDates(text.replace(mention[0], " "), { today });
+  } catch (error) {
+    if (!(error instanceof RequestParseError)) throw error;
+    return `❌ ${error.message}`;
+  }
+  if (!dates) return `❌ Which dates should <@${delegateId}> cover? ${DELEGATION_USAGE}`;
+  if (dates.end < today) return "❌ Those dates are in the past.";
+  
+  await store.setDelegation(userId, { delegateId, start: dates.start, end: dates.end });
+  log.info("Delegation set", { userId, delegateId, start: dates.start, end: dates.end });
+  
+  await client.chat.postMessage({
+    channel: delegateId,
+    text: `↪️ <@${userId}> has asked you to handle their PTO approvals from ${dates.start} to ${dates.end}.`
+  });
+  return `✅ <@${delegateId}> will handle your approvals from ${dates.start} to ${dates.end}.`;
+}
+
+// "<@U1>", or "<@U1> on behalf of <@U2>" when a delegate decided
+function formatDecider(request, userId) {
+  return request.delegatedFrom && request.delegatedFrom !== userId
+    ? `<@${userId}> on behalf of <@${request.delegatedFrom}>`
+    : `<@${userId}>`;
+}
+
+// --- Approval chains (Approval_Chains sheet) ---
+// A request can need several approvals in turn. Each step names a role: "manager"
+// (the approver from the Teams tab), "department_head" (whoever approves for that
+// manager) or "hr". While a step waits, the status is `pending_<step>` and managerId
+// holds that step's approver. Rows logged before chains existed are plain "pending".
+
+const APPROVAL_STEPS = {
+  manager: "manager",
+  department_head: "department head",
+  hr: "HR"
+};
+
+// Whether a request is still waiting for an approver
+function isPending(status) {
+  return status === "pending" || String(status || "").startsWith("pending_");
+}
+
+// The step a pending request is waiting on, or null for rows without a chain
+function currentStep(request) {
+  return String(request.status).startsWith("pending_") ? request.status.slice("pending_".length) : null;
+}
+
+// Earlier approvals are stored as "step:userId" pairs, e.g. "manager:U123,hr:U456"
+function parseApprovals(value) {
+  return String(value || "").split(",").filter(Boolean).map(entry => {
+    const [step, userId] = entry.split(":");
+    return { step, userId };
+  });
+}
+
+// Load the Approval_Chains tab
+// Columns: A team ("*" for everyone), B leave_type ("*" for any), C min_days (blank = any length),
+//          D steps in order, comma-separated (e.g. "manager, department_head")
+async function getApprovalChainRules() {
+  const rows = await readConfigTab("Approval_Chains");
+  
+  const rules = [];
+  for (const row of rows) {
+    const team = (row[0] || "").trim();
+    const steps = (row[3] || "").split(",").map(step => step.trim().toLowerCase()).filter(step => APPROVAL_STEPS[step]);
+    if (!team || steps.length === 0) continue;
+    const leaveType = (row[1] || "").trim().toLowerCase() || "*";
+    rules.push({
+      team,
+      leaveType: leaveType === "*" ? "*" : normalizeLeaveType(leaveType),
+      minDays: parseDays(row[2]),
+      steps
+    });
+  }
+  
+  return rules;
+}
+
+// The steps a request goes through. The most specific matching row wins (team over "*",
+// then leave type over "*", then the highest min_days); without one, the leave type's usual approver decides.
+async function getApprovalChain(request) {
+  const team = (await getTeamDirectory()).get(request.userId)?.team || null;
+  const specificity = rule => (rule.team === "*" ? 0 : 2) + (rule.leaveType === "*" ? 0 : 1);
+  
+  const [rule] = (await getApprovalChainRules())
+    .filter(r =>
+      (r.team === "*" || r.team === team) &&
+      (r.leaveType === "*" || r.leaveType === request.leaveType) &&
+      request.businessDays >= r.minDays
+    )
+    .sort((a, b) => specificity(b) - specificity(a) || b.minDays - a.minDays);
+  
+  return rule ? rule.steps : [LEAVE_TYPES[request.leaveType].approver];
+}
+
+// Who approves a step of a user's request. `source` is as for getManagerId,
+// so "unmapped" means the user is missing from the Teams sheet.
+async function resolveApprover(step, userId) {
+  if (step === "hr") return { approverId: HR_SLACK_ID, source: "hr" };
+  
+  const { managerId, source } = await getManagerId(userId);
+  if (step === "manager" || source !== "manager") return { approverId: managerId, source };
+  
+  // A department head is whoever approves the manager's own requests
+  const above = await getManagerId(managerId);
+  return { approverId: above.managerId === userId ? HR_SLACK_ID : above.managerId, source: "department_head" };
+}
+
+// Who decides in place of a requester who would be their own approver (an HR admin's
+// own leave, say): their backup approver, else HR, else another HR admin
+async function findStandInApprover(requesterId) {
+  const backup = (await getTeamDirectory()).get(requesterId)?.backupApproverId;
+  const standIn = [backup, HR_SLACK_ID, ...HR_ADMIN_IDS].find(id => id && id !== requesterId) || null;
+  if (!standIn) log.error("Nobody but the requester can approve this request", { userId: requesterId });
+  return standIn;
+}
+
+// The first step from `index` on whose approver (or whoever covers for them, see
+// findAvailableApprover) hasn't already approved this request, as
+// { index, step, approverId, source, delegatedFrom }, or null when the chain is done
+async function nextApprovalStep(chain, index, userId, approvedBy = []) {
+  for (let i = index; i < chain.length; i++) {
+    const approver = await resolveApprover(chain[i], userId);
+    const routed = await findAvailableApprover(approver.approverId, userId);
+    if (routed.approverId === userId) {
+      routed.approverId = (await findStandInApprover(userId)) || userId;
+      routed.delegatedFrom = null;
+    }
+    if (!approvedBy.includes(routed.approverId)) return { index: i, step: chain[i], ...approver, ...routed };
+  }
+  return null;
+}
+
+// Where a request stands in its chain, e.g. "Step 2 of 2 (HR) · approved by <@U1> (manager)";
+// empty for single-step requests
+function formatApprovalProgress(request) {
+  const chain = String(request.approvalChain || "").split(",").filter(Boolean);
+  if (chain.length < 2) return "";
+  
+  const step = currentStep(request);
+  const approvals = parseApprovals(request.approvals)
+    .map(a => `<@${a.userId}> (${APPROVAL_STEPS[a.step] || a.step})`);
+  return `🪜 *Approval:* step ${chain.indexOf(step) + 1} of ${chain.length} (${APPROVAL_STEPS[step]})` +
+         (approvals.length ? ` · approved by ${approvals.join(", ")}` : "");
+}
+
+// --- Google Calendar sync ---
+
+// Shared "Out of office" calendar for teams without their own in Team_Settings
+const TEAM_CALENDAR_ID = process.env.TEAM_CALENDAR_ID || null;
+// Writing to employees' own calendars needs domain-wide delegation for the service account
+const CALENDAR_DELEGATION = process.env.CALENDAR_DELEGATION === "true";
+
+// Auth client acting as an employee, for their primary calendar
+function getDelegatedCalendarAuth(email) {
+  return new google.auth.JWT({
+    email: getGcpCredentials().client_email,
+    key: getGcpCredentials().private_key,
+    scopes: ["https://www.googleapis.com/auth/calendar.events"],
+    subject: email
+  });
+}
+
+// Resolve the shared out-of-office calendar for a user's team
+async function getTeamCalendarId(userId) {
+  const team = (await getTeamDirectory()).get(userId)?.team;
+  const settings = team ? (await getTeamSettings()).get(team) : null;
+  return settings?.calendarId || TEAM_CALENDAR_ID;
+}
+
+// Create the out-of-office events for an approved request and store their IDs (columns Q:R).
+// Calendar failures are logged but never undo the approval.
+async function syncRequestToCalendars(request) {
+  const type = LEAVE_TYPES[normalizeLeaveType(request.leaveType)];
+  const userInfo = await getUserInfo(request.userId);
+  let employeeEventId = null;
+  let teamEventId = null;
+  
+  if (!hasGoogleCredentials()) return;
+  
+  if (CALENDAR_DELEGATION && userInfo.email) {
+    try {
+      const result = await calendar.events.insert({
+        auth: getDelegatedCalendarAuth(userInfo.email),
+        calendarId: "primary",
+        requestBody: {
+          summary: `Out of office – ${type.label}`,
+          eventType: "outOfOffice",
+          start: { dateTime: `${request.start}T00:00:00`, timeZone: userInfo.tz },
+          end: { dateTime: `${addDays(request.end, 1)}T00:00:00`, timeZone: userInfo.tz },
+          outOfOfficeProperties: {
+            autoDeclineMode: "declineOnlyNewConflictingInvitations",
+            declineMessage: `I'm out of office until ${request.end}.`
+          }
+        }
+      });
+      employeeEventId = result.data.id;
+    } catch (error) {
+      log.error("Failed to create employee calendar event", { requestId: request.requestId, error: error.message });
+    }
+  }
+  
+  const teamCalendarId = await getTeamCalendarId(request.userId);
+  if (teamCalendarId) {
+    try {
+      const client = await getGoogleAuth().getClient();
+      const result = await calendar.events.insert({
+        auth: client,
+        calendarId: teamCalendarId,
+        requestBody: {
+          // The whole team sees this one, so it never says which kind of leave it is
+          summary: `${request.userName} – Out of office` +
+                   (request.businessDays < 1 ? ` (${formatDays(request.businessDays)} day)` : ""),
+          start: { date: request.start },
+          end: { date: addDays(request.end, 1) },
+          transparency: "transparent"
+        }
+      });
+      teamEventId = result.data.id;
+    } catch (error) {
+      log.error("Failed to create team calendar event", { requestId: request.requestId, error: error.message });
+    }
+  }
+  
+  if (employeeEventId || teamEventId) {
+    await setCalendarEvents(request.requestId, employeeEventId, teamEventId);
+  }
+}
+
+// Remove a request's calendar events, e.g. after it is withdrawn or changed
+async function removeRequestFromCalendars(request) {
+  if (!request.employeeEventId && !request.teamEventId) return;
+  if (!hasGoogleCredentials()) return;
+  
+  const deleteEvent = async (eventAuth, calendarId, eventId) => {
+    try {
+      await calendar.events.delete({ auth: eventAuth, calendarId, eventId });
+    } catch (error) {
+      // Already gone is fine
+      if (error.code !== 404 && error.code !== 410) {
+        log.error("Failed to delete calendar event", { requestId: request.requestId, calendarId, error: error.message });
+      }
+    }
+  };
+  
+  if (request.employeeEventId) {
+    const userInfo = await getUserInfo(request.userId);
+    if (userInfo.email) {
+      await deleteEvent(getDelegatedCalendarAuth(userInfo.email), "primary", request.employeeEventId);
+    }
+  }
+  
+  if (request.teamEventId) {
+    const teamCalendarId = await getTeamCalendarId(request.userId);
+    if (teamCalendarId) {
+      await deleteEvent(await getGoogleAuth().getClient(), teamCalendarId, request.teamEventId);
+    }
+  }
+  
+  await setCalendarEvents(request.requestId, "", "");
+}
+
+// --- DM conversations ---
+// Each user has at most one request in progress. It is kept in the store rather than
+// in memory so follow-ups reach it whichever serverless instance handles them.
+const CONVERSATION_TTL_MS = parseInt(process.env.CONVERSATION_TTL_MS) || 30 * 60 * 1000;
+
+function conversationKey(userId) {
+  return `conversation:${userId}`;
+}
+
+// The user's conversation ({ requestId, draft }), or null if none or expired
+async function getConversation(userId) {
+  return store.getSession(conversationKey(userId));
+}
+
+async function saveConversation(userId, conversation) {
+  await store.putSession(conversationKey(userId), conversation, CONVERSATION_TTL_MS);
+}
+
+// Forget the conversation, optionally only if it is still about `requestId`
+async function endConversation(userId, requestId = null) {
+  try {
+    if (requestId) {
+      const conversation = await getConversation(userId);
+      if (conversation?.requestId !== requestId) return;
+    }
+    await store.deleteSession(conversationKey(userId));
+  } catch (error) {
+    log.error("Failed to end conversation", { userId, error: error.message });
+  }
+}
+
+// Turn the first message of a conversation into a draft. When the parser can't
+// produce a full request, keep whatever the message did say so we can ask for the rest.
+async function startDraft(text, today) {
+  try {
+    return { ...await parseRequest(text) };
+  } catch (error) {
+    const { draft } = reviseDraft({}, text, { today });
+    if (missingField(draft)) return draft;
+    throw error;
+  }
+}
+
+// --- Pending drafts ---
+// Every confirmation shown is saved under its own draft ID, "<requestId>:<suffix>".
+// Buttons only carry that ID, so nothing the employee could tamper with is trusted at
+// submit time, and Confirm on an older message submits the dates that message showed.
+// Corrections keep the request ID, so only one confirmation of a conversation goes through.
+const DRAFT_TTL_MS = parseInt(process.env.DRAFT_TTL_MS) || 24 * 60 * 60 * 1000;
+
+const DRAFT_FIELDS = ["draftId", "requestId", "userId", "start", "end", "reason", "leaveType", "portion", "hours"];
+
+function draftKey(draftId) {
+  return `draft:${draftId}`;
+}
+
+function generateDraftId(requestId) {
+  return `${requestId}:${crypto.randomBytes(4).toString("hex")}`;
+}
+
+// The request a draft ID belongs to
+function requestIdOfDraft(draftId) {
+  return String(draftId).split(":")[0];
+}
+
+async function saveDraft(draft) {
+  const saved = Object.fromEntries(DRAFT_FIELDS.map(field => [field, draft[field] ?? null]));
+  await store.putSession(draftKey(draft.draftId), saved, DRAFT_TTL_MS);
+}
+
+// The saved draft, or null if it expired or belongs to someone else
+async function loadDraft(draftId, userId) {
+  if (!draftId) return null;
+  const saved = await store.getSession(draftKey(draftId));
+  return saved && saved.userId === userId ? saved : null;
+}
+
+// Work out everything derived from a draft (name, business days, holidays, balance
+// history, rule violations) from current data rather than from anything the client sent back
+async function prepareDraft(draft) {
+  const userInfo = await getUserInfo(draft.userId);
+  
+  // Calculate business days, skipping the user's regional public holidays
+  const holidayCalendar = await getHolidaysForUser(draft.userId);
+  const businessDays = calculateLeaveDuration(draft, holidayCalendar);
+  const holidays = getHolidaysInRange(draft.start, draft.end, holidayCalendar);
+  
+  const prepared = {
+    ...draft,
+    userName: userInfo.name,
+    leaveType: normalizeLeaveType(draft.leaveType),
+    businessDays,
+    holidays,
+    history: await getUserPTOHistory(draft.userId)
+  };
+  prepared.violations = await checkLeaveRules(prepared);
+  return prepared;
+}
+
+// Only the recorded approver, whoever they delegated to or it was escalated to, or an HR admin
+// may approve or deny a request, and never the person who asked for it
+function canDecide(request, userId) {
+  if (userId === request.userId) return false;
+  return userId === request.managerId || userId === request.delegatedFrom || userId === request.escalatedTo || HR_ADMIN_IDS.has(userId);
+}
+
+// Why a decision was refused
+function refusalMessage(request, userId, verb) {
+  return userId === request.userId
+    ? `🚫 You can't ${verb} your own request.`
+    : `🚫 Only <@${request.managerId}> or HR can ${verb} this request.`;
+}
+
+// Take the buttons off the message a decision was made from. Decisions from the
+// Home tab have no message, so the approval DM is updated and the Home tab refreshed.
+async function closeDecisionMessage(body, request, text, client) {
+  if (body.message) {
+    await client.chat.update({ channel: body.channel.id, ts: body.message.ts, text, blocks: [] });
+  } else if (request.approvalChannel && request.approvalTs) {
+    await client.chat.update({ channel: request.approvalChannel, ts: request.approvalTs, text, blocks: [] });
+  }
+  
+  if (body.view?.type === "home") {
+    await publishHome(body.user.id, client);
+  }
+}
+
+// --- Retries ---
+// Handlers run as queued jobs (see Background jobs). A request we refuse is reported to
+// the user straight away; any other failure, such as Sheets or Slack being unavailable,
+// is thrown on so the queue retries the job. Handlers are written to be run again.
+
+// Something the user asked for that we won't do (unknown request, wrong user, ...)
+class ActionRefusedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ActionRefusedError";
+  }
+}
+
+function rethrowUnlessRefused(error) {
+  if (!(error instanceof ActionRefusedError)) throw error;
+}
+
+// Messages already sent, so a retried job doesn't send them again
+const SENT_MESSAGE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Post a message unless one with this key was already posted. Resolves to Slack's
+// response, or null if it had been sent.
+async function postMessageOnce(key, client, message) {
+  const sentKey = `sent:${key}`;
+  if (await store.getSession(sentKey)) return null;
+  const result = await client.chat.postMessage(message);
+  await store.putSession(sentKey, true, SENT_MESSAGE_TTL_MS);
+  return result;
+}
+
+// --- Main Slack Event Handlers ---
+
+// Handle DM messages to the bot. Missing details are asked for one at a time and
+// corrections update the draft; Confirm is only offered once the request is complete.
+export async function handleDirectMessage({ message, client, say }) {
+  const userId = message.user;
+  const text = message.text || "";
+  
+  log.info("DM received", { userId, text });
+  
+  try {
+    // "my requests" shows the requests that can still be edited or withdrawn
+    if (/^\s*my requests?\s*$/i.test(text)) {
+      await say(buildMyRequestsMessage(userId, await getUserRequests(userId)));
+      return;
+    }
+    
+    // "delegate @someone Dec 23-27" hands over approvals, see updateDelegation
+    if (/^\s*delegate\b/i.test(text)) {
+      await say(await updateDelegation(userId, text.replace(/^\s*delegate\s*/i, "").trim(), client));
+      return;
+    }
+    
+    const conversation = await getConversation(userId);
+    if (conversation && isCancelMessage(text)) {
+      await endConversation(userId);
+      await say("👍 OK, I've dropped that request.");
+      return;
+    }
+    
+    // Follow-ups refine the draft in progress; anything unrecognised starts a new one
+    const today = new Date().toISOString().split("T")[0];
+    let draft = null;
+    if (conversation) {
+      const revision = reviseDraft(conversation.draft, text, { today });
+      if (revision.understood) draft = revision.draft;
+    }
+    draft = draft || await startDraft(text, today);
+    
+    const requestId = conversation?.requestId || generateRequestId();
+    await saveConversation(userId, { requestId, draft });
+    
+    const missing = missingField(draft);
+    if (missing) {
+      await say(`🤔 ${QUESTIONS[missing]}`);
+      return;
+    }
+    
+    const ptoRequest = validateParsedRequest(draftToRequest(draft), { today, workdayHours: WORKDAY_HOURS });
+    
+    const pending = await prepareDraft({ draftId: generateDraftId(requestId), requestId, userId, ...ptoRequest });
+    
+    // Check if user has enough days of this leave type
+    const remaining = getRemainingForType(pending.history, pending.leaveType);
+    if (remaining !== null && pending.businessDays > remaining) {
+      await say(`❌ Sorry, you're requesting ${formatDays(pending.businessDays)} days of ${LEAVE_TYPES[pending.leaveType].label.toLowerCase()} but only have ${formatDays(remaining)} days remaining in your balance.`);
+      return;
+    }
+    if (hasBlockingViolation(pending.violations)) {
+      await say(`❌ Sorry, I can't submit these dates:\n${formatViolations(pending.violations)}\nSend me different dates if you'd like to try again.`);
+      return;
+    }
+    
+    // Give the employee a heads-up about teammates who are also off
+    const overlap = await getTeamOverlapSafely(userId, pending.start, pending.end);
+    
+    // The buttons only carry the request ID; what was asked for stays on our side
+    await saveDraft(pending);
+    await say(buildConfirmationMessage(pending, { overlap }));
+  
+  } catch (error) {
+    log.error("Error processing PTO request", { error: error.message });
+    if (!(error instanceof RequestParseError)) throw error;
+    await say(`❌ Sorry, ${error.message} Please try again with a format like:\n"I need Dec 23-27 off for vacation" or "next Friday afternoon for the dentist"`);
+  }
+}
+
+// Build the confirmation message shown to the employee before submitting.
+// The leave type can be changed from the dropdown; the Confirm button is only
+// offered while the request fits in that type's balance and breaks no blocking rule.
+// `overlap` comes from getTeamOverlap.
+function buildConfirmationMessage(draft, { overlap = null } = {}) {
+  const type = LEAVE_TYPES[draft.leaveType];
+  const remaining = getRemainingForType(draft.history, draft.leaveType);
+  const balance = draft.history.balances?.[draft.leaveType];
+  const fitsBalance = remaining === null || draft.businessDays <= remaining;
+  
+  let balanceText;
+  if (remaining === null) {
+    balanceText = `💰 *Balance:* ${type.label.toLowerCase()} doesn't use your balance`;
+  } else if (fitsBalance) {
+    balanceText = `💰 *Your balance after ${type.requiresApproval ? "approval" : "recording"}:* ${formatDays(remaining - draft.businessDays)} days remaining` +
+                  (balance ? `\n_Current balance: ${formatBalanceBreakdown(balance)}_` : "");
+  } else {
+    balanceText = `❌ *Not enough balance:* you only have ${formatDays(remaining)} days of ${type.label.toLowerCase()} remaining`;
+  }
+  
+  const notes = [];
+  if (!type.requiresApproval) notes.push(`ℹ️ ${type.label} doesn't need approval; your manager will be notified.`);
+  if (type.approver === "hr") notes.push(`ℹ️ ${type.label} is reviewed by HR.`);
+  
+  const elements = [
+    {
+      type: "static_select",
+      action_id: "select_leave_type",
+      initial_option: leaveTypeOption(draft.leaveType),
+      options: Object.keys(LEAVE_TYPES).map(leaveTypeOption)
+    }
+  ];
+  
+  if (fitsBalance && !hasBlockingViolation(draft.violations)) {
+    elements.push({
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "✅ Confirm Request"
+      },
+      style: "primary",
+      action_id: "confirm_pto",
+      value: draft.draftId
+    });
+  }
+  
+  elements.push({
+    type: "button",
+    text: {
+      type: "plain_text",
+      text: "❌ Cancel"
+    },
+    style: "danger",
+    action_id: "cancel_pto",
+    value: draft.draftId
+  });
+  
+  const overlapText = formatTeamOverlap(overlap);
+  const rulesText = formatViolations(draft.violations);
+  
+  return {
+    text: `Please confirm your PTO request:`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Please confirm your PTO request:*\n\n` +
+                `${type.emoji} *Type:* ${type.label}\n` +
+                `📅 *Dates:* ${draft.start} to ${draft.end}${describePortion(draft)}\n` +
+                `📊 *Business days:* ${formatDays(draft.businessDays)} days (${formatExclusions(draft.holidays)})\n` +
+                `📝 *Reason:* ${draft.reason}\n` +
+                balanceText +
+                (notes.length ? `\n\n${notes.join("\n")}` : "")
+        }
+      },
+      ...(rulesText ? [{ type: "section", text: { type: "mrkdwn", text: rulesText } }] : []),
+      ...(overlapText ? [{ type: "section", text: { type: "mrkdwn", text: overlapText } }] : []),
+      {
+        type: "actions",
+        elements
+      }
+    ]
+  };
+}
+
+// Dropdown option for a leave type
+function leaveTypeOption(leaveType) {
+  const type = LEAVE_TYPES[leaveType];
+  return {
+    text: { type: "plain_text", text: `${type.emoji} ${type.label}` },
+    value: leaveType
+  };
+}
+
+// Handle a leave type change from the confirmation dropdown
+export async function handleSelectLeaveType({ ack, body, client }) {
+  await ack();
+  
+  // The draft ID travels on the Cancel button, which is always present
+  const actions = body.message.blocks.find(b => b.type === "actions");
+  const cancelButton = actions.elements.find(e => e.action_id === "cancel_pto");
+  const saved = await loadDraft(cancelButton.value, body.user.id);
+  if (!saved) {
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: "⌛ This request has expired. Please send me your dates again.",
+      blocks: []
+    });
+    return;
+  }
+  
+  saved.leaveType = normalizeLeaveType(body.actions[0].selected_option.value);
+  await saveDraft(saved);
+  const draft = await prepareDraft(saved);
+  const overlap = await getTeamOverlapSafely(draft.userId, draft.start, draft.end);
+  
+  await client.chat.update({
+    channel: body.channel.id,
+    ts: body.message.ts,
+    ...buildConfirmationMessage(draft, { overlap })
+  });
+}
+
+// Build the approval request sent to the manager.
+// `previous` is the original request when the employee has edited it;
+// `overlap` lists teammates who are off at the same time (see getTeamOverlap) and
+// `violations` the rules the request breaks (see checkLeaveRules).
+function buildApprovalMessage(requestData, { previous = null, overlap = null, violations = [] } = {}) {
+  const leaveType = normalizeLeaveType(requestData.leaveType);
+  const type = LEAVE_TYPES[leaveType];
+  const remaining = getRemainingForType(requestData.history, leaveType);
+  
+  // Calculate context for manager
+  const daysSinceLastRequest = requestData.history.lastRequestDate 
+    ? Math.floor((new Date() - new Date(requestData.history.lastRequestDate)) / (1000 * 60 * 60 * 24))
+    : "N/A (first request)";
+  
+  const heading = previous
+    ? `*Updated PTO Request*\n_${requestData.userName} changed this request (was ${previous.start} to ${previous.end}, ${formatDays(previous.businessDays)} days)._\n\n`
+    : `*New PTO Request*\n\n`;
+  
+  return {
+    text: `${previous ? "Updated" : "New"} PTO request from ${requestData.userName}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: heading +
+                `👤 *Employee:* ${requestData.userName} (<@${requestData.userId}>)\n` +
+                `${type.emoji} *Type:* ${type.label}\n` +
+                `📅 *Dates:* ${requestData.start} to ${requestData.end}${describePortion(requestData)}\n` +
+                `📊 *Business days:* ${formatDays(requestData.businessDays)} days (${formatExclusions(requestData.holidays)})\n` +
+                `📝 *Reason:* ${requestData.reason}\n\n` +
+                `*Context:*\n` +
+                (remaining === null
+                  ? `• ${type.label} doesn't use the employee's balance\n`
+                  : `• Current ${type.label.toLowerCase()} balance: ${formatDays(remaining)} days` +
+                    (requestData.history.balances?.[leaveType] ? ` (${formatBalanceBreakdown(requestData.history.balances[leaveType])})\n` : "\n") +
+                    `• After approval: ${formatDays(remaining - requestData.businessDays)} days\n`) +
+                `• Days since last request: ${daysSinceLastRequest}\n` +
+                `• Average requests/month: ${requestData.history.avgRequestsPerMonth}\n` +
+                `• Vacation days used this year: ${formatDays(requestData.history.daysUsedThisYear)}`
+        }
+      },
+      ...(requestData.delegatedFrom ? [{ type: "context", elements: [{ type: "mrkdwn", text: `↪️ You're covering for <@${requestData.delegatedFrom}>, who is away.` }] }] : []),
+      ...(formatApprovalProgress(requestData) ? [{ type: "context", elements: [{ type: "mrkdwn", text: formatApprovalProgress(requestData) }] }] : []),
+      ...(violations.length ? [{ type: "section", text: { type: "mrkdwn", text: `*Policy checks:*\n${formatViolations(violations)}` } }] : []),
+      ...(overlap ? [{ type: "section", text: { type: "mrkdwn", text: formatTeamOverlap(overlap, { showEmpty: true }) } }] : []),
+      {
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "✅ Approve"
+            },
+            style: "primary",
+            action_id: "approve_pto",
+            value: requestData.requestId
+          },
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "❌ Deny"
+            },
+            style: "danger",
+            action_id: "deny_pto",
+            value: requestData.requestId
+          }
+        ]
+      }
+    ]
+  };
+}
+
+// Record a prepared request (see prepareDraft) and route it: leave that needs no
+// approval is logged as approved and the manager gets an FYI; anything else is logged
+// as waiting for the first step of its approval chain and sent to that approver.
+// `logged` is the request as an earlier attempt that was cut short stored it; only the
+// steps that attempt didn't finish are done.
+// Returns the text to show the employee.
+async function submitRequest(requestData, client, logged = null) {
+  const leaveType = requestData.leaveType;
+  const type = LEAVE_TYPES[leaveType];
+  const requestId = requestData.requestId;
+  
+  // Leave that doesn't need approval is recorded straight away; the manager just gets an FYI
+  if (!type.requiresApproval) {
+    let recorded = logged && { ...requestData, ...logged };
+    if (!recorded) {
+      const { managerId } = await getManagerId(requestData.userId);
+      const managerInfo = await getUserInfo(managerId);
+      recorded = {
+        ...requestData,
+        status: "approved",
+        managerId: managerId,
+        managerName: managerInfo.name
+      };
+      await logRequest(recorded);
+    }
+    if (!recorded.employeeEventId && !recorded.teamEventId) {
+      await syncRequestToCalendars(recorded);
+    }
+    await startLeaveStatus(recorded, client);
+    
+    await postMessageOnce(`fyi:${requestId}`, client, {
+      channel: recorded.managerId,
+      text: `${type.emoji} ${requestData.userName} is on ${type.label.toLowerCase()}: ` +
+            `${requestData.start} to ${requestData.end}${describePortion(requestData)} ` +
+            `(${formatDays(requestData.businessDays)} days). No approval needed.`
+    });
+    
+    return `✅ Your ${type.label.toLowerCase()} has been recorded and your manager has been notified.`;
+  }
+  
+  // Log the request as waiting for the first approver in its chain
+  const approvalChain = await getApprovalChain(requestData);
+  const { step, approverId, source, delegatedFrom } = await nextApprovalStep(approvalChain, 0, requestData.userId);
+  let pending = logged && { ...requestData, ...logged, approvalChain };
+  if (!pending) {
+    const approverInfo = await getUserInfo(approverId);
+    pending = {
+      ...requestData,
+      status: `pending_${step}`,
+      managerId: approverId,
+      managerName: approverInfo.name,
+      approvalChain,
+      delegatedFrom
+    };
+    await logRequest(pending);
+  }
+  
+  // Send to the approver and remember the message so it can be updated later
+  if (isPending(pending.status)) {
+    const overlap = await getTeamOverlapSafely(requestData.userId, requestData.start, requestData.end);
+    const approvalMessage = await postMessageOnce(`approval:${requestId}:${pending.status}`, client, {
+      channel: pending.managerId,
+      ...buildApprovalMessage({ ...pending, approvalChain: approvalChain.join(",") }, { overlap, violations: requestData.violations })
+    });
+    if (approvalMessage) {
+      await setApprovalMessage(requestId, approvalMessage.channel, approvalMessage.ts);
+    }
+  }
+  
+  // Let HR know the Teams sheet is missing this employee
+  if (source === "unmapped") {
+    await postMessageOnce(`unmapped:${requestId}`, client, {
+      channel: HR_SLACK_ID,
+      text: `⚠️ ${requestData.userName} (<@${requestData.userId}>) has no entry in the Teams sheet, ` +
+            `so their PTO request was routed to you. Please add their manager to the Teams tab.`
+    });
+  }
+  
+  if (approvalChain.length > 1) {
+    const steps = approvalChain.map(s => APPROVAL_STEPS[s]).join(", then ");
+    return `✅ Your PTO request has been submitted for approval. It needs sign-off from your ${steps}; <@${pending.managerId}> has it first.`;
+  }
+  return "✅ Your PTO request has been submitted for approval. You'll be notified once your manager reviews it.";
+}
+
+// Handle PTO confirmation
+export async function handleConfirmPTO({ ack, body, client }) {
+  await ack();
+  
+  const draftId = body.actions[0].value;
+  const requestId = requestIdOfDraft(draftId);
+  const userId = body.user.id;
+  
+  const saved = await loadDraft(draftId, userId);
+  const logged = await getRequestById(requestId);
+  
+  // A submit that was cut short finds the request logged and its draft still saved, and
+  // finishes. A double-click on Confirm, or Confirm on another version of the request,
+  // must not log it twice.
+  const resuming = Boolean(logged && saved) && logged.start === saved.start && logged.end === saved.end &&
+                   logged.leaveType === normalizeLeaveType(saved.leaveType);
+  if (logged && !resuming) {
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: "✅ This request has already been submitted.",
+      blocks: []
+    });
+    return;
+  }
+  
+  if (!saved) {
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: "⌛ This request has expired. Please send me your dates again.",
+      blocks: []
+    });
+    return;
+  }
+  
+  // Recompute the days and balance now; they may have changed since the draft was shown.
+  // A request that is already logged counts against both, so it isn't checked again.
+  const requestData = await prepareDraft(saved);
+  const leaveType = requestData.leaveType;
+  const type = LEAVE_TYPES[leaveType];
+  const remaining = getRemainingForType(requestData.history, leaveType);
+  if (!resuming && remaining !== null && requestData.businessDays > remaining) {
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: `❌ Sorry, this request needs ${formatDays(requestData.businessDays)} days of ${type.label.toLowerCase()} but you only have ${formatDays(remaining)} days remaining.`,
+      blocks: []
+    });
+    return;
+  }
+  if (!resuming && hasBlockingViolation(requestData.violations)) {
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: `❌ Sorry, this request can't be submitted:\n${formatViolations(requestData.violations)}`,
+      blocks: []
+    });
+    return;
+  }
+  
+  const outcome = await submitRequest(requestData, client, logged);
+  
+  // Only forget the draft once the request is logged, so a failed submit can be retried
+  await endConversation(userId, requestId);
+  await store.deleteSession(draftKey(draftId));
+  
+  // Update the user's message
+  await client.chat.update({
+    channel: body.channel.id,
+    ts: body.message.ts,
+    text: outcome,
+    blocks: []
+  });
+}
+
+// Handle PTO cancellation
+export async function handleCancelPTO({ ack, body, client }) {
+  await ack();
+  
+  const draftId = body.actions[0].value;
+  if (await loadDraft(draftId, body.user.id)) {
+    await store.deleteSession(draftKey(draftId));
+  }
+  await endConversation(body.user.id, requestIdOfDraft(draftId));
+  
+  await client.chat.update({
+    channel: body.channel.id,
+    ts: body.message.ts,
+    text: "❌ PTO request cancelled.",
+    blocks: []
+  });
+}
+
+// Handle PTO approval
+export async function handleApprovePTO({ ack, body, client }) {
+  await ack();
+  
+  const requestId = await requestIdFromButton(body.actions[0].value);
+  const approverId = body.user.id;
+  
+  try {
+    const request = await getRequestById(requestId);
+    
+    // A retry finds the approval already recorded and only finishes telling everyone
+    if (request?.status === "approved" && request.approverId === approverId) {
+      await announceApproval(request, approverId, body, client);
+      return;
+    }
+    if (request && isPending(request.status) && parseApprovals(request.approvals).at(-1)?.userId === approverId) {
+      // The stored approval message is the next approver's by now, so it is left alone
+      await announceForwardedRequest(request, formatDecider({}, approverId), body, { ...request, approvalChannel: null, approvalTs: null }, client);
+      return;
+    }
+    
+    if (request && !canDecide(request, approverId)) {
+      log.info("Decision refused for a user who isn't the approver", { requestId, userId: approverId });
+      await client.chat.postMessage({
+        channel: approverId,
+        text: refusalMessage(request, approverId, "approve")
+      });
+      return;
+    }
+    
+    // Later steps of the chain get the request next; the last approval decides it
+    if (request && currentStep(request)) {
+      const chain = request.approvalChain.split(",");
+      const approvedBy = [...parseApprovals(request.approvals).map(a => a.userId), approverId];
+      const next = await nextApprovalStep(chain, chain.indexOf(currentStep(request)) + 1, request.userId, approvedBy);
+      if (next) {
+        await forwardRequest(request, approverId, next, body, client);
+        return;
+      }
+    }
+    
+    // Update status in Google Sheets
+    const requestData = await updateRequestStatus(requestId, "approved", approverId);
+    
+    if (!requestData) {
+      throw new ActionRefusedError("Could not find the request to update");
+    }
+    
+    await announceApproval(requestData, approverId, body, client);
+  
+  } catch (error) {
+    log.error("Error approving PTO request", { error: error.message });
+    rethrowUnlessRefused(error);
+    
+    await client.chat.postMessage({
+      channel: approverId,
+      text: "❌ There was an error processing the approval. Please check the Google Sheet directly."
+    });
+  }
+}
+
+// Put an approved request on the calendars and the employee's status, and tell them.
+// Each step is skipped if it was done before, so this can run again after a failure.
+async function announceApproval(requestData, approverId, body, client) {
+  const type = LEAVE_TYPES[requestData.leaveType];
+  
+  // Put the time off on the employee's and the team's calendars, and their status if it has started
+  if (!requestData.employeeEventId && !requestData.teamEventId) {
+    await syncRequestToCalendars(requestData);
+  }
+  await startLeaveStatus(requestData, client);
+  
+  // Notify the employee
+  await postMessageOnce(`approved:${requestData.requestId}`, client, {
+    channel: requestData.userId,
+    text: `✅ Good news! Your PTO request has been approved!\n\n` +
+          `${type.emoji} *Type:* ${type.label}\n` +
+          `📅 *Dates:* ${requestData.start} to ${requestData.end}\n` +
+          `📊 *Business days:* ${formatDays(requestData.businessDays)} days\n` +
+          `✅ *Approved by:* ${formatDecider(requestData, approverId)}\n\n` +
+          `Enjoy your time off! 🎉`
+  });
+  
+  await closeDecisionMessage(body, requestData, `✅ PTO request for ${requestData.userName} has been approved.`, client);
+}
+
+// Record one step's approval and hand the request to the next approver in its chain
+async function forwardRequest(request, approverId, next, body, client) {
+  const approvals = [...parseApprovals(request.approvals), { step: currentStep(request), userId: approverId }];
+  const nextInfo = await getUserInfo(next.approverId);
+  
+  // Someone else may have moved the request on in the meantime
+  const latest = await getRequestById(request.requestId);
+  if (!latest || latest.status !== request.status) {
+    throw new ActionRefusedError("The request has already moved on");
+  }
+  
+  const fields = {
+    status: `pending_${next.step}`,
+    managerId: next.approverId,
+    managerName: nextInfo.name,
+    approvals: approvals.map(a => `${a.step}:${a.userId}`).join(","),
+    stepStartedAt: new Date().toISOString(),
+    delegatedFrom: next.delegatedFrom || "",
+    remindedAt: "",
+    escalatedAt: "",
+    escalatedTo: ""
+  };
+  await store.updateRequest(request.requestId, fields);
+  log.info("Request forwarded to the next approver", { requestId: request.requestId, step: next.step, approverId: next.approverId });
+  
+  await announceForwardedRequest({ ...request, ...fields }, formatDecider(request, approverId), body, request, client);
+}
+
+// Send a forwarded request to its next approver and tell the employee who approved it.
+// `decided` is the request as the approver saw it, for closing their message.
+async function announceForwardedRequest(forwarded, decider, body, decided, client) {
+  const history = await getUserPTOHistory(forwarded.userId);
+  const holidays = getHolidaysInRange(forwarded.start, forwarded.end, await getHolidaysForUser(forwarded.userId));
+  const overlap = await getTeamOverlapSafely(forwarded.userId, forwarded.start, forwarded.end);
+  const violations = await checkLeaveRules(forwarded, { asOf: forwarded.timestamp?.split("T")[0] });
+  const approvalMessage = await postMessageOnce(`approval:${forwarded.requestId}:${forwarded.status}`, client, {
+    channel: forwarded.managerId,
+    ...buildApprovalMessage({ ...forwarded, history, holidays }, { overlap, violations })
+  });
+  if (approvalMessage) {
+    await setApprovalMessage(forwarded.requestId, approvalMessage.channel, approvalMessage.ts);
+  }
+  
+  const stepLabel = APPROVAL_STEPS[currentStep(forwarded)];
+  await postMessageOnce(`forwarded:${forwarded.requestId}:${forwarded.status}`, client, {
+    channel: forwarded.userId,
+    text: `👍 ${decider} approved your request for ${forwarded.start} to ${forwarded.end}. ` +
+          `It's now waiting for <@${forwarded.managerId}> (${stepLabel}).`
+  });
+  
+  await closeDecisionMessage(body, decided, `👍 You approved ${forwarded.userName}'s request; it's now with <@${forwarded.managerId}> (${stepLabel}).`, client);
+}
+
+// Handle PTO denial
+export async function handleDenyPTO({ ack, body, client }) {
+  await ack();
+  
+  const requestId = await requestIdFromButton(body.actions[0].value);
+  const denierId = body.user.id;
+  
+  try {
+    const request = await getRequestById(requestId);
+    if (request && !canDecide(request, denierId)) {
+      log.info("Decision refused for a user who isn't the approver", { requestId, userId: denierId });
+      await client.chat.postMessage({
+        channel: denierId,
+        text: refusalMessage(request, denierId, "deny")
+      });
+      return;
+    }
+    
+    // Update status in Google Sheets; a retry finds the denial already recorded. Approved
+    // leave can still be denied until it ends, e.g. from an earlier copy of the approval message.
+    const alreadyDenied = request?.status === "denied" && request.approverId === denierId;
+    const today = new Date().toISOString().split("T")[0];
+    const fromStatuses = request?.status === "approved" && request.end >= today ? ["approved"] : null;
+    const requestData = alreadyDenied ? request : await updateRequestStatus(requestId, "denied", denierId, fromStatuses);
+    
+    if (!requestData) {
+      throw new ActionRefusedError("Could not find the request to update");
+    }
+    
+    // Clear the calendar entries and Slack status an approval left behind
+    await removeRequestFromCalendars(requestData);
+    await clearLeaveStatus(requestData, client);
+    
+    // Notify the employee
+    await postMessageOnce(`denied:${requestId}`, client, {
+      channel: requestData.userId,
+      text: `❌ Your PTO request has been denied.\n\n` +
+            `📅 *Dates:* ${requestData.start} to ${requestData.end}\n` +
+            `❌ *Denied by:* ${formatDecider(requestData, denierId)}\n\n` +
+            `Please speak with your manager if you have questions.`
+    });
+    
+    await closeDecisionMessage(body, requestData, `❌ PTO request for ${requestData.userName} has been denied.`, client);
+  
+  } catch (error) {
+    log.error("Error denying PTO request", { error: error.message });
+    rethrowUnlessRefused(error);
+    
+    await client.chat.postMessage({
+      channel: denierId,
+      text: "❌ There was an error processing the denial. Please check the Google Sheet directly."
+    });
+  }
+}
+
+// --- Slash command (/pto) ---
+
+const PTO_COMMAND_HELP = `*Usage:*\n` +
+  `• \`/pto balance\` – your current balance per leave type\n` +
+  `• \`/pto history\` – your past and pending requests\n` +
+  `• \`/pto requests\` – edit or withdraw a pending request or an approved one that hasn't started yet ` +
+  `(\`/pto cancel\` does the same)\n` +
+  `• \`/pto delegate @someone Dec 23-27\` – have someone else handle your approvals while you're away ` +
+  `(\`/pto delegate off\` to stop)\n` +
+  `• \`/pto calendar\` – calendar feed links for your time off and your team's\n\n` +
+  `To request time off, just send me a DM like "next Monday to Friday for vacation".`;
+
+// One line per leave type with the remaining balance, its breakdown and any days pending approval
+function formatBalanceLines(history, requests) {
+  return Object.entries(LEAVE_TYPES).map(([leaveType, type]) => {
+    const balance = history.balances[leaveType];
+    const pendingDays = requests
+      .filter(r => isPending(r.status) && r.leaveType === leaveType)
+      .reduce((sum, r) => sum + r.businessDays, 0);
+    const pendingText = pendingDays > 0 ? `, ${formatDays(pendingDays)} pending approval` : "";
+    
+    if (!balance) {
+      return `${type.emoji} *${type.label}:* no balance${pendingText}`;
+    }
+    return `${type.emoji} *${type.label}:* ${formatDays(balance.remaining)} days remaining${pendingText}\n` +
+           `      _${formatBalanceBreakdown(balance)}_`;
+  }).join("\n");
+}
+
+const STATUS_EMOJI = {
+  pending: "⏳",
+  approved: "✅",
+  denied: "❌",
+  cancelled: "🚫",
+  superseded: "✏️",
+  expired: "⌛"
+};
+
+// Post a message to an interaction's response_url (ephemeral by default)
+async function respondTo(responseUrl, message) {
+  const res = await fetch(responseUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(typeof message === "string" ? { text: message } : message)
+  });
+  if (!res.ok) {
+    throw new Error(`response_url returned ${res.status}`);
+  }
+}
+
+// A request can be cancelled or edited while pending, or once approved as long as it hasn't started
+function isCancellable(request, today = new Date().toISOString().split("T")[0]) {
+  return isPending(request.status) || (request.status === "approved" && request.start > today);
+}
+
+// Approved leave can still be withdrawn while it is under way, e.g. to come back early
+function isWithdrawable(request, today = new Date().toISOString().split("T")[0]) {
+  return isCancellable(request, today) || (request.status === "approved" && request.end >= today);
+}
+
+// A request's status in words; pending ones say whose approval they wait for, e.g. "waiting for HR"
+function describeStatus(request) {
+  const step = currentStep(request);
+  return step ? `waiting for ${APPROVAL_STEPS[step] || step}` : request.status;
+}
+
+// One-line summary of a request, e.g. "✅ 🌴 2024-12-23 to 2024-12-27 (5 days, approved) – Christmas"
+function formatRequestLine(request) {
+  const type = LEAVE_TYPES[request.leaveType];
+  const emoji = STATUS_EMOJI[isPending(request.status) ? "pending" : request.status];
+  return `${emoji || "•"} ${type.emoji} ${request.start} to ${request.end} ` +
+         `(${formatDays(request.businessDays)} days, ${describeStatus(request)})` +
+         (request.reason ? ` – ${request.reason}` : "");
+}
+
+// Build the "My requests" message: pending, upcoming and current requests with Edit and Withdraw buttons
+function buildMyRequestsMessage(userId, requests) {
+  const editable = requests.filter(r => isWithdrawable(r));
+  if (editable.length === 0) {
+    return { text: "You have no pending or upcoming requests to change." };
+  }
+  
+  return {
+    text: "My requests",
+    blocks: [
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: "*My requests*\nPending, upcoming and current time off you can still change:" }
+      },
+      ...editable.flatMap(request => {
+        const value = request.requestId;
+        return [
+          {
+            type: "section",
+            text: { type: "mrkdwn", text: formatRequestLine(request) }
+          },
+          {
+            type: "actions",
+            elements: [
+              ...(isCancellable(request) ? [{
+                type: "button",
+                text: { type: "plain_text", text: "✏️ Edit" },
+                action_id: "edit_request",
+                value
+              }] : []),
+              {
+                type: "button",
+                text: { type: "plain_text", text: "🚫 Withdraw" },
+                style: "danger",
+                action_id: "cancel_request",
+                value
+              }
+            ]
+          }
+        ];
+      })
+    ]
+  };
+}
+
+// Handle /pto <balance|history|requests|cancel|delegate|calendar>
+export async function handlePTOCommand({ command, ack, respond, client }) {
+  await ack();
+  
+  const userId = command.user_id;
+  const [subcommand = "help"] = (command.text || "").trim().toLowerCase().split(/\s+/);
+  
+  log.info("/pto command received", { userId, subcommand });
+  
+  if (subcommand === "balance") {
+    const history = await getUserPTOHistory(userId);
+    const requests = await getUserRequests(userId);
+    
+    await respond(`*Your ${new Date().getFullYear()} balance*\n\n${formatBalanceLines(history, requests)}`);
+  
+  } else if (subcommand === "history") {
+    const requests = await getUserRequests(userId);
+    if (requests.length === 0) {
+      await respond("You haven't made any PTO requests yet.");
+      return;
+    }
+    
+    const lines = requests.slice(0, 20).map(formatRequestLine);
+    const more = requests.length > 20 ? `\n_…and ${requests.length - 20} older requests_` : "";
+    await respond(`*Your PTO requests*\n\n${lines.join("\n")}${more}`);
+  
+  } else if (subcommand === "requests" || subcommand === "cancel") {
+    const requests = await getUserRequests(userId);
+    await respond(buildMyRequestsMessage(userId, requests));
+  
+  } else if (subcommand === "calendar") {
+    const links = await getFeedLinks(userId);
+    if (!links) {
+      await respond("Calendar feeds aren't set up yet. Please ask an admin to set PUBLIC_URL and FEED_SECRET.");
+      return;
+    }
+    await respond(`*Calendar feeds*\nSubscribe to these from Google Calendar, Outlook or Apple Calendar. Keep the links private.\n\n` +
+                  `• Your time off: ${links.personal}` +
+                  (links.team ? `\n• Your team: ${links.team}` : ""));
+  
+  } else if (subcommand === "delegate") {
+    await respond(await updateDelegation(userId, command.text.trim().replace(/^delegate\s*/i, ""), client));
+  
+  } else {
+    await respond(PTO_COMMAND_HELP);
+  }
+}
+
+// Tidy up after a withdrawn request: calendars, Slack status, the approval message and a
+// note to the manager. Safe to run again, so a retry can finish it.
+async function finishWithdrawal(request, client) {
+  await removeRequestFromCalendars(request);
+  await clearLeaveStatus(request, client);
+  
+  // Take the buttons off the approval message, or mark the decision on it as withdrawn
+  const text = `🚫 ${request.userName} withdrew their request for ${request.start} to ${request.end}.`;
+  if (request.approvalChannel && request.approvalTs) {
+    await client.chat.update({ channel: request.approvalChannel, ts: request.approvalTs, text, blocks: [] });
+  }
+  
+  // Let the manager know, whether they had approved it or still had it waiting
+  if (request.managerId) {
+    await postMessageOnce(`withdrawn:${request.requestId}`, client, {
+      channel: request.managerId,
+      text: `🚫 ${request.userName} (<@${request.userId}>) withdrew their ` +
+            `${LEAVE_TYPES[request.leaveType].label.toLowerCase()} request for ` +
+            `${request.start} to ${request.end} (${formatDays(request.businessDays)} days). No action is needed on it.`
+    });
+  }
+}
+
+// Handle the "Cancel request" button from /pto cancel
+export async function handleCancelRequest({ ack, body, client }) {
+  await ack();
+  
+  const requestId = await requestIdFromButton(body.actions[0].value);
+  const userId = body.user.id;
+  
+  try {
+    const request = await getRequestById(requestId);
+    if (request && request.userId !== userId) {
+      throw new ActionRefusedError("Only the requester can cancel a request");
+    }
+    
+    // A retry finds the request already withdrawn and finishes what the last attempt didn't
+    if (request?.status === "cancelled" && request.approverId === userId) {
+      await finishWithdrawal(request, client);
+      await respondTo(body.response_url, {
+        replace_original: true,
+        text: `🚫 Your request for ${request.start} to ${request.end} has been withdrawn.`
+      });
+      return;
+    }
+    
+    if (!request || !isWithdrawable(request)) {
+      await respondTo(body.response_url, {
+        replace_original: true,
+        text: "⚠️ That request can no longer be cancelled. Use `/pto history` to see its current status."
+      });
+      return;
+    }
+    
+    const updated = await updateRequestStatus(requestId, "cancelled", userId, [request.status]);
+    if (!updated) {
+      throw new ActionRefusedError("Could not find the request to update");
+    }
+    await finishWithdrawal(request, client);
+    
+    await respondTo(body.response_url, {
+      replace_original: true,
+      text: `🚫 Your request for ${request.start} to ${request.end} has been withdrawn.`
+    });
+  
+  } catch (error) {
+    log.error("Error cancelling PTO request", { error: error.message });
+    rethrowUnlessRefused(error);
+    
+    await client.chat.postMessage({
+      channel: userId,
+      text: "❌ There was an error cancelling your request. Please try again or contact HR."
+    });
+  }
+}
+
+// Choices for a single-day request, shared by the edit and request forms
+const PORTION_OPTIONS = [
+  { text: { type: "plain_text", text: "Full day(s)" }, value: "full" },
+  { text: { type: "plain_text", text: "Morning only" }, value: "am" },
+  { text: { type: "plain_text", text: "Afternoon only" }, value: "pm" }
+];
+
+// Build the modal used to change the dates of a submitted request, filled in from the request
+function buildEditRequestModal(request) {
+  return {
+    type: "modal",
+    callback_id: "edit_request",
+    private_metadata: JSON.stringify({ requestId: request.requestId, leaveType: request.leaveType }),
+    title: { type: "plain_text", text: "Edit PTO request" },
+    submit: { type: "plain_text", text: "Save changes" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "input",
+        block_id: "start",
+        label: { type: "plain_text", text: "First day off" },
+        element: { type: "datepicker", action_id: "value", initial_date: request.start }
+      },
+      {
+        type: "input",
+        block_id: "end",
+        label: { type: "plain_text", text: "Last day off" },
+        element: { type: "datepicker", action_id: "value", initial_date: request.end }
+      },
+      {
+        type: "input",
+        block_id: "portion",
+        label: { type: "plain_text", text: "For a single day" },
+        element: {
+          type: "static_select",
+          action_id: "value",
+          initial_option: PORTION_OPTIONS.find(o => o.value === request.portion) || PORTION_OPTIONS[0],
+          options: PORTION_OPTIONS
+        }
+      },
+      {
+        type: "input",
+        block_id: "hours",
+        optional: true,
+        label: { type: "plain_text", text: "Or a number of hours (single day)" },
+        element: {
+          type: "number_input",
+          action_id: "value",
+          is_decimal_allowed: true,
+          min_value: "0.5",
+          max_value: String(WORKDAY_HOURS),
+          ...(request.hours ? { initial_value: String(request.hours) } : {})
+        }
+      },
+      {
+        type: "input",
+        block_id: "reason",
+        optional: true,
+        label: { type: "plain_text", text: "Reason" },
+        element: { type: "plain_text_input", action_id: "value", initial_value: request.reason || "" }
+      }
+    ]
+  };
+}
+
+// Handle the "Edit" button from My requests: open the edit modal. The trigger ID only
+// works for a few seconds, so this runs before Slack gets its answer and isn't retried.
+export async function handleEditRequest({ ack, body, client }) {
+  await ack();
+  
+  const userId = body.user.id;
+  
+  try {
+    const request = await getRequestById(await requestIdFromButton(body.actions[0].value));
+    if (request && request.userId !== userId) {
+      throw new ActionRefusedError("Only the requester can edit a request");
+    }
+    
+    if (!request || !isCancellable(request)) {
+      await respondTo(body.response_url, {
+        replace_original: false,
+        text: "⚠️ That request can no longer be edited. Use `/pto history` to see its current status."
+      });
+      return;
+    }
+    
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildEditRequestModal(request)
+    });
+  
+  } catch (error) {
+    log.error("Error opening edit modal", { error: error.message });
+    
+    await client.chat.postMessage({
+      channel: userId,
+      text: "❌ There was an error opening your request. Please try again."
+    });
+  }
+}
+
+// Retire a request an edit replaced: mark it superseded and take it off the calendars
+// and the employee's status. Safe to run again.
+async function supersedeRequest(request, client) {
+  if (request.status !== "superseded") {
+    const superseded = await updateRequestStatus(request.requestId, "superseded", request.userId, [request.status]);
+    if (!superseded) {
+      throw new ActionRefusedError("Could not find the request to update");
+    }
+  }
+  await removeRequestFromCalendars(request);
+  await clearLeaveStatus(request, client);
+}
+
+// Read the edit modal's inputs
+function readEditForm(values) {
+  return {
+    start: values.start.value.selected_date,
+    end: values.end.value.selected_date,
+    portion: values.portion.value.selected_option?.value || "full",
+    hours: parseFloat(values.hours?.value.value) || null,
+    reason: values.reason.value.value || ""
+  };
+}
+
+// Work out what editing `request` to the form's dates would mean: the business days,
+// holidays, balance history and rule violations for them
+async function prepareEdit(request, form) {
+  const holidayCalendar = await getHolidaysForUser(request.userId);
+  const businessDays = calculateLeaveDuration(form, holidayCalendar);
+  const prepared = {
+    businessDays,
+    holidays: getHolidaysInRange(form.start, form.end, holidayCalendar),
+    history: await getUserPTOHistory(request.userId)
+  };
+  prepared.violations = await checkLeaveRules(
+    { userId: request.userId, start: form.start, end: form.end, businessDays, leaveType: request.leaveType },
+    { replacing: request.requestId }
+  );
+  return prepared;
+}
+
+// The request an edit modal is for, as { requestId, leaveType }. Modals opened before
+// the leave type was kept with it only have the request ID.
+function readEditMetadata(view) {
+  const metadata = view.private_metadata || "";
+  return metadata.startsWith("{") ? JSON.parse(metadata) : { requestId: metadata, leaveType: null };
+}
+
+// The checks on an edit that need nothing but the form; `errors` as for checkEditForm.
+// Without a leave type the date rules are left to checkEditForm.
+function checkEditFormLocally(form, leaveType) {
+  const { start, end, hours } = form;
+  if (end < start) {
+    return { end: "The last day can't be before the first day." };
+  }
+  if (hours && start !== end) {
+    return { hours: "Hours only work when the first and last day are the same." };
+  }
+  if (form.portion !== "full" && start !== end) {
+    return { portion: "Half days only work when the first and last day are the same." };
+  }
+  if (!leaveType) return {};
+  try {
+    validateParsedRequest({ ...form, leaveType }, { workdayHours: WORKDAY_HOURS });
+  } catch (error) {
+    if (!(error instanceof RequestParseError)) throw error;
+    return { start: error.message };
+  }
+  return {};
+}
+
+// Check an edit before it is accepted. Returns the prepared edit (see prepareEdit) and
+// `errors` keyed by block ID, empty when it can be saved.
+async function checkEditForm(userId, request, form) {
+  if (!request || request.userId !== userId || !isCancellable(request)) {
+    return { errors: { start: "This request can no longer be edited." } };
+  }
+  const errors = checkEditFormLocally(form, request.leaveType);
+  if (Object.keys(errors).length > 0) return { errors };
+  
+  // Re-run the balance check; an approved original gives its days back
+  const prepared = await prepareEdit(request, form);
+  const remaining = getRemainingForType(prepared.history, request.leaveType);
+  const available = remaining === null
+    ? null
+    : remaining + (request.status === "approved" ? request.businessDays : 0);
+  
+  if (prepared.businessDays === 0) {
+    return { prepared, errors: { end: "Those dates don't include any business days." } };
+  }
+  if (available !== null && prepared.businessDays > available) {
+    return { prepared, errors: { end: `That's ${formatDays(prepared.businessDays)} days, but you only have ${formatDays(available)} days available.` } };
+  }
+  const blocking = prepared.violations.find(v => v.severity === "block");
+  if (blocking) {
+    return { prepared, errors: { start: blocking.message } };
+  }
+  return { prepared, errors: {} };
+}
+
+// Handle the edit modal submission. Only the checks on the form itself run before Slack
+// gets its answer; the rest are made by applyRequestEdit, which is queued.
+export async function handleEditSubmission({ ack, body, view, client }) {
+  const errors = checkEditFormLocally(readEditForm(view.state.values), readEditMetadata(view).leaveType);
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: "errors", errors });
+    return;
+  }
+  await ack();
+  
+  // The replacement's ID is fixed now so a retried job finds what it already logged
+  return enqueueOwnJob("view", { ...body, view, newRequestId: generateRequestId() });
+}
+
+// Apply a queued edit: log the new dates, supersede the original and, unless the leave
+// needs no approval, update the approver's message. Safe to run again.
+async function applyRequestEdit(payload, client) {
+  const userId = payload.user.id;
+  const form = readEditForm(payload.view.state.values);
+  const { start, end } = form;
+  const request = await getRequestById(readEditMetadata(payload.view).requestId);
+  const type = LEAVE_TYPES[request?.leaveType || "vacation"];
+  
+  // The replacement is logged before the original is superseded, so finding it means
+  // an earlier attempt got that far
+  let updatedRequest = await getRequestById(payload.newRequestId);
+  let prepared;
+  if (updatedRequest) {
+    prepared = await prepareEdit(request, form);
+  } else {
+    const check = await checkEditForm(userId, request, form);
+    const problems = Object.values(check.errors);
+    if (problems.length > 0) {
+      await client.chat.postMessage({ channel: userId, text: `❌ Sorry, I couldn't update your request: ${problems.join(" ")}` });
+      return;
+    }
+    prepared = check.prepared;
+  }
+  const { businessDays, violations } = prepared;
+  const approvalChain = type.requiresApproval
+    ? await getApprovalChain({ userId, leaveType: request.leaveType, businessDays })
+    : [];
+  
+  if (!updatedRequest) {
+    updatedRequest = {
+      requestId: payload.newRequestId,
+      userId,
+      userName: request.userName,
+      ...form,
+      businessDays,
+      leaveType: request.leaveType
+    };
+    
+    // Leave that doesn't need approval stays recorded; anything else starts its approval chain again
+    if (!type.requiresApproval) {
+      const { managerId } = await getManagerId(userId);
+      Object.assign(updatedRequest, { status: "approved", managerId, managerName: (await getUserInfo(managerId)).name });
+    } else {
+      const { step, approverId, delegatedFrom } = await nextApprovalStep(approvalChain, 0, userId);
+      Object.assign(updatedRequest, {
+        status: `pending_${step}`,
+        approvalChain,
+        delegatedFrom,
+        managerId: approverId,
+        managerName: approverId === request.managerId ? request.managerName : (await getUserInfo(approverId)).name
+      });
+    }
+    await logRequest(updatedRequest);
+  }
+  await supersedeRequest(request, client);
+  const days = `${start} to ${end}${describePortion(updatedRequest)} (${formatDays(businessDays)} days)`;
+  
+  // The manager just hears about the change
+  if (!type.requiresApproval) {
+    if (!updatedRequest.employeeEventId && !updatedRequest.teamEventId) {
+      await syncRequestToCalendars(updatedRequest);
+    }
+    await startLeaveStatus(updatedRequest, client);
+    
+    await postMessageOnce(`fyi:${updatedRequest.requestId}`, client, {
+      channel: updatedRequest.managerId,
+      text: `${type.emoji} ${request.userName} changed their ${type.label.toLowerCase()} to ${days}. No approval needed.`
+    });
+    await postMessageOnce(`edited:${updatedRequest.requestId}`, client, {
+      channel: userId,
+      text: `✏️ Your ${type.label.toLowerCase()} has been updated to ${days} and your manager has been notified.`
+    });
+    return;
+  }
+  
+  // Reuse the approval message when it's still with the same approver
+  const approverId = updatedRequest.managerId;
+  const overlap = await getTeamOverlapSafely(userId, start, end);
+  const approvalMessage = buildApprovalMessage(
+    { ...updatedRequest, ...prepared, approvalChain: approvalChain.join(",") },
+    { previous: request, overlap, violations }
+  );
+  if (request.approvalChannel && request.approvalTs && approverId === request.managerId) {
+    await client.chat.update({ channel: request.approvalChannel, ts: request.approvalTs, ...approvalMessage });
+    await setApprovalMessage(updatedRequest.requestId, request.approvalChannel, request.approvalTs);
+  } else {
+    if (request.approvalChannel && request.approvalTs && isPending(request.status)) {
+      await client.chat.update({
+        channel: request.approvalChannel,
+        ts: request.approvalTs,
+        text: `✏️ ${request.userName} changed this request, so it has gone back to <@${approverId}>.`,
+        blocks: []
+      });
+    }
+    const posted = await postMessageOnce(`approval:${updatedRequest.requestId}:${updatedRequest.status}`, client, { channel: approverId, ...approvalMessage });
+    if (posted) {
+      await setApprovalMessage(updatedRequest.requestId, posted.channel, posted.ts);
+    }
+  }
+  
+  await postMessageOnce(`edited:${updatedRequest.requestId}`, client, {
+    channel: userId,
+    text: `✏️ Your request has been updated to ${days} and sent back to <@${approverId}> for approval.`
+  });
+}
+
+// --- App Home tab ---
+// Published whenever someone opens the bot's Home tab: their balance, pending and
+// upcoming requests and a button to ask for time off. Approvers also see the requests
+// waiting for them, with Approve/Deny, and their team's absences for the next 30 days.
+
+const HOME_CALENDAR_DAYS = 30;
+const HOME_MAX_APPROVALS = 15;
+
+// Everyone someone approves for as manager or backup approver
+async function getApproverReports(userId) {
+  const directory = await getTeamDirectory();
+  return [...directory.values()]
+    .filter(e => e.employeeId !== userId && (e.managerId === userId || e.backupApproverId === userId))
+    .map(e => e.employeeId);
+}
+
+function buildHomeView({ history, requests, approvals, teamAbsences, isApprover, today }) {
+  const section = (text) => ({ type: "section", text: { type: "mrkdwn", text } });
+  const pending = requests.filter(r => isPending(r.status));
+  const upcoming = requests.filter(r => r.status === "approved" && r.end >= today).reverse();
+  
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: "🏖️ PTO Buddy" } },
+    section(`*Your ${today.slice(0, 4)} balance*\n${formatBalanceLines(history, requests)}`),
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: "📅 Request time off" },
+          style: "primary",
+          action_id: "open_request_modal"
+        }
+      ]
+    },
+    { type: "divider" },
+    section(`*Pending requests*\n${pending.length ? pending.map(formatRequestLine).join("\n") : "_Nothing waiting for approval._"}`),
+    section(`*Upcoming time off*\n${upcoming.length ? upcoming.map(formatRequestLine).join("\n") : "_Nothing booked yet._"}`)
+  ];
+  
+  if (isApprover) {
+    blocks.push({ type: "divider" }, section(`*Waiting for your approval*${approvals.length ? "" : "\n_You're all caught up._"}`));
+    for (const request of approvals.slice(0, HOME_MAX_APPROVALS)) {
+      blocks.push(
+        section(`<@${request.userId}>  ${formatRequestLine(request)}`),
+        {
+          type: "actions",
+          elements: [
+            { type: "button", text: { type: "plain_text", text: "✅ Approve" }, style: "primary", action_id: "approve_pto", value: request.requestId },
+            { type: "button", text: { type: "plain_text", text: "❌ Deny" }, style: "danger", action_id: "deny_pto", value: request.requestId }
+          ]
+        }
+      );
+    }
+    if (approvals.length > HOME_MAX_APPROVALS) {
+      blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `…and ${approvals.length - HOME_MAX_APPROVALS} more` }] });
+    }
+    
+    const absenceLines = teamAbsences.map(r => {
+      const type = LEAVE_TYPES[r.leaveType];
+      return `• ${r.start} to ${r.end}  <@${r.userId}>  ${type.emoji} ${type.label}${isPending(r.status) ? " _(pending)_" : ""}`;
+    });
+    blocks.push(section(`*Team out of office, next ${HOME_CALENDAR_DAYS} days*\n${absenceLines.length ? absenceLines.join("\n") : "_Everyone's in._"}`));
+  }
+  
+  return { type: "home", blocks };
+}
+
+// Build and publish someone's Home tab
+async function publishHome(userId, client = getSlackClient()) {
+  const today = new Date().toISOString().split("T")[0];
+  const windowEnd = addDays(today, HOME_CALENDAR_DAYS);
+  
+  const [history, allRequests, reports] = await Promise.all([
+    getUserPTOHistory(userId),
+    getAllRequests(),
+    getApproverReports(userId)
+  ]);
+  
+  const requests = allRequests
+    .filter(r => r.userId === userId)
+    .sort((a, b) => (b.start || "").localeCompare(a.start || ""));
+  const approvals = allRequests
+    .filter(r => isPending(r.status) && r.userId !== userId && [r.managerId, r.delegatedFrom, r.escalatedTo].includes(userId))
+    .sort((a, b) => (a.start || "").localeCompare(b.start || ""));
+  const teamAbsences = allRequests
+    .filter(r => reports.includes(r.userId) && (r.status === "approved" || isPending(r.status)) && r.start <= windowEnd && r.end >= today)
+    .sort((a, b) => a.start.localeCompare(b.start));
+  
+  await client.views.publish({
+    user_id: userId,
+    view: buildHomeView({
+      history,
+      requests,
+      approvals,
+      teamAbsences,
+      isApprover: reports.length > 0 || approvals.length > 0,
+      today
+    })
+  });
+}
+
+export async function handleAppHomeOpened({ event, client }) {
+  if (event.tab && event.tab !== "home") return;
+  
+  await publishHome(event.user, client);
+}
+
+// --- Request form (modal) ---
+// A structured alternative to DMs, opened from the App Home button or the
+// request_time_off shortcut. Changing the dates, type or half day updates the
+// business-day count and balance shown in the form; submitting goes through the
+// same submitRequest path as the Confirm button.
+
+// Read the form's inputs
+function readRequestForm(values) {
+  return {
+    start: values.start?.value?.selected_date || null,
+    end: values.end?.value?.selected_date || null,
+    leaveType: normalizeLeaveType(values.leave_type?.value?.selected_option?.value),
+    portion: values.portion?.value?.selected_option?.value || "full",
+    reason: values.reason?.value?.value || ""
+  };
+}
+
+// The checks on the form that need nothing but its input; `errors` as for checkRequestForm
+function checkRequestFormLocally(form) {
+  const errors = {};
+  if (form.end < form.start) {
+    errors.end = "The last day can't be before the first day.";
+    return errors;
+  }
+  if (form.portion !== "full" && form.start !== form.end) {
+    errors.portion = "Half days only work when the first and last day are the same.";
+  }
+  try {
+    validateParsedRequest(form, { workdayHours: WORKDAY_HOURS });
+  } catch (error) {
+    if (!(error instanceof RequestParseError)) throw error;
+    errors.start = error.message;
+  }
+  return errors;
+}
+
+// Work out what the form's current input would use. Returns the prepared request,
+// the balance left after it, and `errors` keyed by block ID (empty when it can be submitted).
+async function checkRequestForm(userId, form) {
+  if (!form.start || !form.end) return { request: null, remaining: null, errors: {} };
+  
+  const errors = checkRequestFormLocally(form);
+  if (errors.end) return { request: null, remaining: null, errors };
+  
+  const request = await prepareDraft({ requestId: null, userId, ...form, hours: null });
+  const remaining = getRemainingForType(request.history, request.leaveType);
+  const blocking = request.violations.find(v => v.severity === "block");
+  if (blocking) errors.start = errors.start || blocking.message;
+  if (request.businessDays === 0) {
+    errors.end = "Those dates don't include any business days.";
+  } else if (remaining !== null && request.businessDays > remaining) {
+    errors.end = `That's ${formatDays(request.businessDays)} days, but you only have ${formatDays(remaining)} days of ${LEAVE_TYPES[request.leaveType].label.toLowerCase()} left.`;
+  }
+  return { request, remaining, errors };
+}
+
+// The line under the form showing what the request would use
+function describeRequestForm({ request, remaining, errors }) {
+  if (!request) return "📊 Pick your dates to see how many days this uses.";
+  
+  const problems = Object.values(errors).map(message => `⛔ ${message}`);
+  const warnings = request.violations.filter(v => v.severity === "warn").map(v => `⚠️ ${v.message}`);
+  const days = `📊 *${formatDays(request.businessDays)} business days* (${formatExclusions(request.holidays)})`;
+  const balance = remaining === null
+    ? `💰 ${LEAVE_TYPES[request.leaveType].label} doesn't use your balance`
+    : `💰 ${formatDays(remaining - request.businessDays)} days of ${LEAVE_TYPES[request.leaveType].label.toLowerCase()} left afterwards`;
+  return [days, ...(problems.length ? problems : [balance]), ...warnings].join("\n");
+}
+
+function buildRequestModal(summary = describeRequestForm({ request: null })) {
+  return {
+    type: "modal",
+    callback_id: "request_time_off",
+    title: { type: "plain_text", text: "Request time off" },
+    submit: { type: "plain_text", text: "Submit request" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "input",
+        block_id: "start",
+        dispatch_action: true,
+        label: { type: "plain_text", text: "First day off" },
+        element: { type: "datepicker", action_id: "value" }
+      },
+      {
+        type: "input",
+        block_id: "end",
+        dispatch_action: true,
+        label: { type: "plain_text", text: "Last day off" },
+        element: { type: "datepicker", action_id: "value" }
+      },
+      {
+        type: "input",
+        block_id: "leave_type",
+        dispatch_action: true,
+        label: { type: "plain_text", text: "Type" },
+        element: {
+          type: "static_select",
+          action_id: "value",
+          initial_option: leaveTypeOption("vacation"),
+          options: Object.keys(LEAVE_TYPES).map(leaveTypeOption)
+        }
+      },
+      {
+        type: "input",
+        block_id: "portion",
+        dispatch_action: true,
+        label: { type: "plain_text", text: "For a single day" },
+        element: {
+          type: "static_select",
+          action_id: "value",
+          initial_option: PORTION_OPTIONS[0],
+          options: PORTION_OPTIONS
+        }
+      },
+      {
+        type: "input",
+        block_id: "reason",
+        optional: true,
+        label: { type: "plain_text", text: "Reason" },
+        element: { type: "plain_text_input", action_id: "value" }
+      },
+      {
+        type: "context",
+        block_id: "summary",
+        elements: [{ type: "mrkdwn", text: summary }]
+      }
+    ]
+  };
+}
+
+export async function handleOpenRequestModal({ ack, body, client }) {
+  await ack();
+  
+  try {
+    await client.views.open({ trigger_id: body.trigger_id, view: buildRequestModal() });
+  } catch (error) {
+    log.error("Error opening request modal", { error: error.message });
+  }
+}
+
+// Refresh the summary line when an input in the form changes
+export async function handleRequestFormChange({ ack, body, client }) {
+  await ack();
+  
+  try {
+    const form = readRequestForm(body.view.state.values);
+    const summary = describeRequestForm(await checkRequestForm(body.user.id, form));
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: buildRequestModal(summary)
+    });
+  } catch (error) {
+    log.error("Error updating request form", { error: error.message });
+  }
+}
+
+// Handle the request modal submission. Only the checks on the form itself run before
+// Slack gets its answer; the rest are made by submitRequestForm, which is queued.
+export async function handleRequestSubmission({ ack, body, view, client }) {
+  const form = readRequestForm(view.state.values);
+  const errors = form.start && form.end ? checkRequestFormLocally(form) : { start: "Please pick your dates." };
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: "errors", errors });
+    return;
+  }
+  await ack();
+  
+  // The request ID is fixed now so a retried job finds what it already logged
+  return enqueueOwnJob("view", { ...body, view, newRequestId: generateRequestId() });
+}
+
+// Submit a queued request from the modal and tell the employee how it went. Safe to run again.
+async function submitRequestForm(payload, client) {
+  const userId = payload.user.id;
+  const requestId = payload.newRequestId;
+  const form = readRequestForm(payload.view.state.values);
+  
+  // Check again unless an earlier attempt already logged it; the dates may have gone meanwhile
+  const logged = await getRequestById(requestId);
+  let request;
+  if (logged) {
+    request = await prepareDraft({ requestId, userId, ...form, hours: null });
+  } else {
+    const check = await checkRequestForm(userId, form);
+    const problems = Object.values(check.errors);
+    if (!check.request || problems.length > 0) {
+      await client.chat.postMessage({ channel: userId, text: `❌ Sorry, I couldn't submit your request: ${problems.join(" ")}` });
+      return;
+    }
+    request = check.request;
+  }
+  
+  const outcome = await submitRequest({ ...request, requestId }, client, logged);
+  await postMessageOnce(`submitted:${requestId}`, client, { channel: userId, text: outcome });
+}
+
+// These app.message and app.action handlers are for local development/testing
+// In production on Vercel, the handler function routes directly to the handler functions
+function registerBoltHandlers(app) {
+  if (process.env.NODE_ENV === 'production') return;
+  
+  // Modal submissions queue their work; run it straight away here
+  const andRunQueuedJob = (handler) => async (args) => {
+    const job = await handler(args);
+    if (job) await runQueuedJob(job);
+  };
+  
+  app.message(async ({ message, client, say }) => {
+    if (message.channel_type === 'im' && !message.bot_id) {
+      await handleDirectMessage({ message, client, say });
+    }
+  });
+  
+  app.action("confirm_pto", handleConfirmPTO);
+  app.action("cancel_pto", handleCancelPTO);
+  app.action("select_leave_type", handleSelectLeaveType);
+  app.action("approve_pto", handleApprovePTO);
+  app.action("deny_pto", handleDenyPTO);
+  app.action("cancel_request", handleCancelRequest);
+  app.action("edit_request", handleEditRequest);
+  app.view("edit_request", andRunQueuedJob(handleEditSubmission));
+  app.action("open_request_modal", handleOpenRequestModal);
+  app.shortcut("request_time_off", handleOpenRequestModal);
+  app.action({ callback_id: "request_time_off" }, handleRequestFormChange);
+  app.view("request_time_off", andRunQueuedJob(handleRequestSubmission));
+  app.event("app_home_opened", handleAppHomeOpened);
+  app.command("/pto", handlePTOCommand);
+}
+
+// --- Absence feeds ---
+// Data behind the read-only routes in api/calendar.js and api/absences.js; what they
+// show of each request is up to lib/feeds.js.
+
+// Where the feeds are served from, e.g. https://pto.example.com
+const PUBLIC_URL = (process.env.PUBLIC_URL || "").replace(/\/$/, "");
+// How far back the calendar feeds go
+const FEED_HISTORY_DAYS = 90;
+
+// Absences overlapping [from, to] for a team or a person (everyone when neither is given):
+// approved requests, plus pending ones when `includePending` is set, ordered by start date.
+// Only a person's own list says which kind of leave each one is.
+export async function listAbsences({ from, to, team = null, userId = null, includePending = false }) {
+  const directory = await getTeamDirectory();
+  
+  return (await getAllRequests())
+    .filter(r =>
+      (r.status === "approved" || (includePending && isPending(r.status))) &&
+      r.start <= to &&
+      r.end >= from &&
+      (!userId || r.userId === userId) &&
+      (!team || directory.get(r.userId)?.team === team)
+    )
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map(r => toAbsence(r, directory.get(r.userId)?.team || null, { withLeaveType: Boolean(userId) }));
+}
+
+// The iCalendar feed of a team's or a person's approved absences
+export async function buildAbsenceCalendar({ team = null, userId = null }) {
+  const today = new Date().toISOString().split("T")[0];
+  const absences = await listAbsences({ from: addDays(today, -FEED_HISTORY_DAYS), to: "9999-12-31", team, userId });
+  const name = team ? `${team} – out of office` : `${absences[0]?.userName || (await getUserInfo(userId)).name} – time off`;
+  
+  return buildICalendar({
+    name,
+    events: absenceEvents(absences, { team, leaveLabel: (leaveType) => LEAVE_TYPES[leaveType].label })
+  });
+}
+
+// Subscribable feed links for a user: their own and their team's, or null when feeds aren't set up
+async function getFeedLinks(userId) {
+  if (!PUBLIC_URL || !process.env.FEED_SECRET) return null;
+  
+  const team = (await getTeamDirectory()).get(userId)?.team;
+  const link = (param, value, scope) => `${PUBLIC_URL}/api/calendar?${param}=${encodeURIComponent(value)}&token=${feedToken(scope)}`;
+  return {
+    personal: link("user", userId, `user:${userId}`),
+    team: team ? link("team", team, `team:${team}`) : null
+  };
+}
+
+// --- Morning digest and Slack status ---
+// api/digest.js runs this every weekday morning: each team with a digest channel in
+// Team_Settings gets a list of who is out today and later this week (see lib/digest.js),
+// and employees whose approved leave has started get an out-of-office Slack status that
+// expires when it ends.
+// Setting someone else's status needs SLACK_STATUS_TOKEN, a user token with
+// users.profile:write from a workspace admin; without it statuses are left alone.
+
+const SLACK_STATUS_TOKEN = process.env.SLACK_STATUS_TOKEN || "";
+const OOO_STATUS_EMOJI = process.env.OOO_STATUS_EMOJI || ":palm_tree:";
+
+// Set the out-of-office status for an approved request that covers today, once.
+// Half days are left alone. Returns whether the status was set.
+async function startLeaveStatus(request, client, today = new Date().toISOString().split("T")[0]) {
+  if (!SLACK_STATUS_TOKEN || request.statusSetAt) return false;
+  if (request.start > today || request.end < today || (request.businessDays < 1 && request.start === request.end)) return false;
+  
+  try {
+    const userInfo = await getUserInfo(request.userId);
+    await client.users.profile.set({
+      token: SLACK_STATUS_TOKEN,
+      user: request.userId,
+      profile: {
+        status_text: `Out of office until ${request.end}`,
+        status_emoji: OOO_STATUS_EMOJI,
+        status_expiration: startOfDayInZone(addDays(request.end, 1), userInfo.tz)
+      }
+    });
+    await store.updateRequest(request.requestId, { statusSetAt: new Date().toISOString() });
+    log.info("Out-of-office status set", { requestId: request.requestId, userId: request.userId });
+    return true;
+  } catch (error) {
+    log.error("Failed to set out-of-office status", { requestId: request.requestId, error: error.message });
+    return false;
+  }
+}
+
+// Clear the status set for a request that no longer stands
+async function clearLeaveStatus(request, client) {
+  if (!SLACK_STATUS_TOKEN || !request.statusSetAt) return;
+  
+  try {
+    await client.users.profile.set({
+      token: SLACK_STATUS_TOKEN,
+      user: request.userId,
+      profile: { status_text: "", status_emoji: "", status_expiration: 0 }
+    });
+    await store.updateRequest(request.requestId, { statusSetAt: "" });
+  } catch (error) {
+    log.error("Failed to clear out-of-office status", { requestId: request.requestId, error: error.message });
+  }
+}
+
+// Post the digests and set the statuses for today. Returns counts of what was done.
+export async function runMorningJobs({ now = new Date() } = {}) {
+  const client = getSlackClient();
+  const today = now.toISOString().split("T")[0];
+  const weekEnd = digestWeekEnd(now);
+  const summary = { digests: 0, statusesSet: 0 };
+  
+  for (const { team, digestChannel } of (await getTeamSettings()).values()) {
+    if (!digestChannel) continue;
+    try {
+      const absences = await listAbsences({ from: today, to: weekEnd, team });
+      await client.chat.postMessage({ channel: digestChannel, ...buildDigestMessage(team, absences, today) });
+      summary.digests++;
+    } catch (error) {
+      log.error("Failed to post the daily digest", { team, error: error.message });
+    }
+  }
+  
+  const started = (await getAllRequests()).filter(r => r.status === "approved" && r.start <= today && r.end >= today);
+  for (const request of started) {
+    if (await startLeaveStatus(request, client, today)) summary.statusesSet++;
+  }
+  
+  log.info("Morning jobs done", summary);
+  return summary;
+}
+
+// --- Stale approvals ---
+// api/reminders.js runs this on a schedule; lib/stale-requests.js decides what each
+// waiting request is due.
+
+// Who a stale request goes to next: the team's backup approver, else HR (null if HR already has it)
+async function getEscalationApprover(request) {
+  const entry = (await getTeamDirectory()).get(request.userId);
+  const backup = entry?.backupApproverId;
+  if (backup && backup !== request.userId && backup !== request.managerId) return backup;
+  return request.managerId === HR_SLACK_ID || request.userId === HR_SLACK_ID ? null : HR_SLACK_ID;
+}
+
+// Pass a waiting request to whoever covers for its approver now (see findAvailableApprover).
+// Returns the request as it is afterwards.
+async function handOverRequest(request, cover, client) {
+  const fields = {
+    managerId: cover.approverId,
+    managerName: (await getUserInfo(cover.approverId)).name,
+    delegatedFrom: request.delegatedFrom || cover.delegatedFrom
+  };
+  await store.updateRequest(request.requestId, fields);
+  const handedOver = { ...request, ...fields };
+  log.info("Request handed to a delegate", { requestId: request.requestId, from: request.managerId, to: cover.approverId });
+  
+  const history = await getUserPTOHistory(request.userId);
+  const holidays = getHolidaysInRange(request.start, request.end, await getHolidaysForUser(request.userId));
+  const overlap = await getTeamOverlapSafely(request.userId, request.start, request.end);
+  const violations = await checkLeaveRules(request, { asOf: request.timestamp?.split("T")[0] });
+  const posted = await client.chat.postMessage({
+    channel: cover.approverId,
+    ...buildApprovalMessage({ ...handedOver, history, holidays }, { overlap, violations })
+  });
+  
+  if (request.approvalChannel && request.approvalTs) {
+    await client.chat.update({
+      channel: request.approvalChannel,
+      ts: request.approvalTs,
+      text: `↪️ ${request.userName}'s request for ${request.start} to ${request.end} has gone to <@${cover.approverId}> while you're away.`,
+      blocks: []
+    });
+  }
+  await setApprovalMessage(request.requestId, posted.channel, posted.ts);
+  return { ...handedOver, approvalChannel: posted.channel, approvalTs: posted.ts };
+}
+
+async function remindApprover(request, waited, client) {
+  const messages = reminderMessages(request, waited);
+  await client.chat.postMessage({ channel: request.managerId, text: messages.approver });
+  await store.updateRequest(request.requestId, { remindedAt: new Date().toISOString() });
+  await client.chat.postMessage({ channel: request.userId, text: messages.employee });
+}
+
+// Send the request to the next approver; returns false when there is nobody left to ask
+async function escalateRequest(request, waited, client) {
+  const escalateTo = await getEscalationApprover(request);
+  await store.updateRequest(request.requestId, { escalatedAt: new Date().toISOString(), escalatedTo: escalateTo || "" });
+  if (!escalateTo) return false;
+  
+  const history = await getUserPTOHistory(request.userId);
+  const holidays = getHolidaysInRange(request.start, request.end, await getHolidaysForUser(request.userId));
+  const overlap = await getTeamOverlapSafely(request.userId, request.start, request.end);
+  const violations = await checkLeaveRules(request, { asOf: request.timestamp?.split("T")[0] });
+  const approvalMessage = buildApprovalMessage({ ...request, history, holidays }, { overlap, violations });
+  const messages = escalationMessages(request, waited, escalateTo);
+  
+  await client.chat.postMessage({
+    channel: escalateTo,
+    text: `⏫ ${approvalMessage.text} (escalated)`,
+    blocks: [
+      { type: "context", elements: [{ type: "mrkdwn", text: messages.context }] },
+      ...approvalMessage.blocks
+    ]
+  });
+  await client.chat.postMessage({ channel: request.managerId, text: messages.approver });
+  await client.chat.postMessage({ channel: request.userId, text: messages.employee });
+  return true;
+}
+
+// Approve or expire a request nobody decided on, as its policy says
+async function resolveStaleRequest(request, action, waited, client) {
+  const approved = action === "approve";
+  const updated = await updateRequestStatus(request.requestId, approved ? "approved" : "expired", "auto");
+  if (!updated) return false;
+  
+  if (approved) {
+    await syncRequestToCalendars(updated);
+    await startLeaveStatus(updated, client);
+  }
+  
+  const messages = resolutionMessages(request, approved, waited);
+  if (request.approvalChannel && request.approvalTs) {
+    await client.chat.update({ channel: request.approvalChannel, ts: request.approvalTs, text: messages.approver, blocks: [] });
+  } else {
+    await client.chat.postMessage({ channel: request.managerId, text: messages.approver });
+  }
+  await client.chat.postMessage({ channel: request.userId, text: messages.employee });
+  return true;
+}
+
+// Follow up on every pending request that has waited too long.
+// Each request moves at most one step per run. Returns counts per step.
+export async function processStaleRequests({ now = new Date() } = {}) {
+  const client = getSlackClient();
+  const summary = { reminded: 0, escalated: 0, approved: 0, expired: 0 };
+  const pending = (await getAllRequests()).filter(r => isPending(r.status));
+  
+  for (const request of pending) {
+    try {
+      const waited = businessDaysWaiting(request, now);
+      const { policy } = await getLeavePolicyForUser(request.userId);
+      const followUp = nextFollowUp(request, waited, policy);
+      
+      if (followUp === "approve" || followUp === "expire") {
+        if (await resolveStaleRequest(request, followUp, waited, client)) {
+          summary[followUp === "approve" ? "approved" : "expired"]++;
+        }
+      } else if (followUp === "escalate") {
+        if (await escalateRequest(request, waited, client)) summary.escalated++;
+      } else if (followUp === "remind") {
+        // The reminder goes to whoever covers if the approver has since gone on leave
+        const cover = await findAvailableApprover(request.managerId, request.userId, now.toISOString().split("T")[0]);
+        const current = cover.delegatedFrom ? await handOverRequest(request, cover, client) : request;
+        await remindApprover(current, waited, client);
+        summary.reminded++;
+      }
+    } catch (error) {
+      log.error("Failed to follow up on a pending request", { requestId: request.requestId, error: error.message });
+    }
+  }
+  
+  log.info("Stale requests processed", summary);
+  return summary;
+}
+
+// --- Background jobs ---
+// The Vercel handler queues Slack work as jobs: "action" (a block action payload),
+// "command" (a slash command), "event" (a DM or App Home event) and "view" (a modal
+// submission that passed its checks). A job that throws is retried with backoff and
+// dead-lettered after a few attempts, see lib/queue.
+
+const noAck = async () => {};
+
+// How long an invocation holds a job it queued for itself. Longer than a function may
+// run, so the worker only picks the job up once that invocation is gone.
+const JOB_LEASE_MS = 5 * 60 * 1000;
+
+// Queue a job that this invocation goes on to run, see runQueuedJob
+function enqueueOwnJob(type, payload) {
+  return queue.enqueue(type, payload, { leaseMs: JOB_LEASE_MS });
+}
+
+// Route a block action to its handler
+async function dispatchAction(payload) {
+  const actionId = payload.actions[0].action_id;
+  const actionPayload = { ack: noAck, body: payload, client: getSlackClient() };
+  
+  if (payload.view?.callback_id === "request_time_off") {
+    await handleRequestFormChange(actionPayload);
+  } else if (actionId === "confirm_pto") {
+    await handleConfirmPTO(actionPayload);
+  } else if (actionId === "cancel_pto") {
+    await handleCancelPTO(actionPayload);
+  } else if (actionId === "select_leave_type") {
+    await handleSelectLeaveType(actionPayload);
+  } else if (actionId === "approve_pto") {
+    await handleApprovePTO(actionPayload);
+  } else if (actionId === "deny_pto") {
+    await handleDenyPTO(actionPayload);
+  } else if (actionId === "cancel_request") {
+    await handleCancelRequest(actionPayload);
+  } else {
+    log.info("Unhandled action", { actionId });
+  }
+}
+
+async function dispatchCommand(command) {
+  await handlePTOCommand({
+    command,
+    ack: noAck,
+    respond: (message) => respondTo(command.response_url, message),
+    client: getSlackClient()
+  });
+}
+
+async function dispatchEvent(event) {
+  if (event.type === "app_home_opened") {
+    await handleAppHomeOpened({ event, client: getSlackClient() });
+    return;
+  }
+  
+  await handleDirectMessage({
+    message: event,
+    client: getSlackClient(),
+    say: async (text) => {
+      return await getSlackClient().chat.postMessage({
+        channel: event.channel,
+        ...((typeof text === "string") ? { text } : text)
+      });
+    }
+  });
+}
+
+// Finish a modal submission that handleEditSubmission or handleRequestSubmission queued
+async function dispatchView(payload) {
+  const callbackId = payload.view.callback_id;
+  
+  if (callbackId === "edit_request") {
+    await applyRequestEdit(payload, getSlackClient());
+  } else if (callbackId === "request_time_off") {
+    await submitRequestForm(payload, getSlackClient());
+  } else {
+    log.info("Unhandled view submission", { callbackId });
+  }
+}
+
+async function runJob(job) {
+  if (job.type === "action") return dispatchAction(job.payload);
+  if (job.type === "command") return dispatchCommand(job.payload);
+  if (job.type === "event") return dispatchEvent(job.payload);
+  if (job.type === "view") return dispatchView(job.payload);
+  throw new Error(`Unknown job type: ${job.type}`);
+}
+
+// Tell the user their action was lost once we've given up on it
+async function notifyFailedJob(job) {
+  const userId = job.payload.user?.id || job.payload.user_id || job.payload.user;
+  if (!userId) return;
+  try {
+    await getSlackClient().chat.postMessage({
+      channel: userId,
+      text: "❌ Sorry, something went wrong and I couldn't finish what you asked. Please try again."
+    });
+  } catch (error) {
+    log.error("Failed to tell the user about a failed job", { jobId: job.id, error: error.message });
+  }
+}
+
+// Run a job this invocation queued for itself
+export async function runQueuedJob(job) {
+  return runClaimedJob(queue, job, runJob, { onDeadLetter: notifyFailedJob });
+}
+
+// Run every queued job that is due. Only the worker endpoint does this, see lib/queue.
+export async function runQueuedJobs() {
+  return drainQueue(queue, runJob, { onDeadLetter: notifyFailedJob, leaseMs: JOB_LEASE_MS });
+}
+
+// What the worker endpoint runs: the queue, then a sweep of spent session rows
+export async function runWorker() {
+  const result = await runQueuedJobs();
+  return { ...result, sessionsCleared: await store.pruneSessions() };
+}
+
+// --- Vercel Handler ---
+
+// Events already handled, so Slack's retries don't produce duplicate replies
+const EVENT_DEDUP_TTL_MS = 60 * 60 * 1000;
+
+// Record an event ID; false if it was already recorded
+async function markEventSeen(eventId) {
+  const key = `event:${eventId}`;
+  if (await store.getSession(key)) return false;
+  await store.putSession(key, true, EVENT_DEDUP_TTL_MS);
+  return true;
+}
+
+async function forgetEvent(eventId) {
+  try {
+    await store.deleteSession(`event:${eventId}`);
+  } catch (error) {
+    log.error("Failed to forget event", { eventId, error: error.message });
+  }
+}
+
+export default async function handler(req, res) {
+  log.info("Vercel handler invoked", {
+    method: req.method,
+    url: req.url,
+    contentType: req.headers["content-type"]
+  });
+  
+  if (req.method !== "POST") {
+    res.statusCode = 404;
+    return res.end("Not found");
+  }
+  
+  // Read the raw body
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const rawBody = Buffer.concat(chunks).toString();
+  
+  const contentType = req.headers["content-type"] || "";
+  
+  // Verify Slack signature; this covers every path, URL verification included
+  const signature = req.headers["x-slack-signature"];
+  const timestamp = req.headers["x-slack-request-timestamp"];
+  
+  if (!signature || !timestamp) {
+    res.statusCode = 400;
+    return res.end("Bad request");
+  }
+  
+  const isValid = await receiver.verifySignature(rawBody, signature, timestamp);
+  if (!isValid) {
+    res.statusCode = 401;
+    return res.end("Unauthorized");
+  }
+  
+  // Process the request. Anything that can wait is queued so Slack gets its
+  // answer straight away; the job is then run after the response.
+  let viewResponse = null;
+  let eventId = null;
+  let job = null;
+  try {
+    let body;
+    
     if (contentType.includes("application/x-www-form-urlencoded")) {
       body = receiver.parseUrlEncoded(rawBody);
       
@@ -665,35 +3335,64 @@ export default async function handler(req, res) {
           action: payload.actions?.[0]?.action_id 
         });
         
-        // Find and execute the appropriate action handler
         const actionId = payload.actions?.[0]?.action_id;
-        if (actionId) {
-          const mockAck = async () => { 
-            log.debug("Ack called for action", { actionId });
-          };
-          
-          const actionPayload = {
-            ack: mockAck,
+        if (actionId === "edit_request") {
+          // The trigger ID only works for a few seconds, so the edit modal is opened straight away
+          await handleEditRequest({ ack: noAck, body: payload, client: getSlackClient() });
+        } else if (actionId === "open_request_modal") {
+          // The same goes for the form behind the Home tab's "Request time off" button
+          await handleOpenRequestModal({ ack: noAck, body: payload, client: getSlackClient() });
+        } else if (actionId) {
+          job = await enqueueOwnJob("action", payload);
+        } else if (payload.type === "shortcut" && payload.callback_id === "request_time_off") {
+          // The trigger ID only works for a few seconds, so the form is opened straight away
+          await handleOpenRequestModal({ ack: noAck, body: payload, client: getSlackClient() });
+        } else if (payload.type === "view_submission") {
+          // Modal submissions answer validation errors through the HTTP response, so
+          // the checks run now; the handlers queue the rest
+          const callbackId = payload.view.callback_id;
+          const viewPayload = {
+            ack: async (response) => {
+              log.debug("Ack called for view submission", { callbackId });
+              viewResponse = response || null;
+            },
             body: payload,
-            client: app.client
+            view: payload.view,
+            client: getSlackClient()
           };
           
-          // Route to the appropriate handler
-          if (actionId === "confirm_pto") {
-            await handleConfirmPTO(actionPayload);
-          } else if (actionId === "cancel_pto") {
-            await handleCancelPTO(actionPayload);
-          } else if (actionId === "approve_pto") {
-            await handleApprovePTO(actionPayload);
-          } else if (actionId === "deny_pto") {
-            await handleDenyPTO(actionPayload);
+          if (callbackId === "edit_request") {
+            job = (await handleEditSubmission(viewPayload)) || null;
+          } else if (callbackId === "request_time_off") {
+            job = (await handleRequestSubmission(viewPayload)) || null;
           }
         }
+      } else if (body.command === "/pto") {
+        // Handle slash commands; the reply goes through response_url
+        log.info("Slash command received", { command: body.command, user: body.user_id });
+        job = await enqueueOwnJob("command", body);
       }
     } else if (contentType.includes("application/json")) {
       body = JSON.parse(rawBody);
       log.debug("JSON payload received", { type: body.type });
       
+      // Slack URL verification
+      if (body.type === "url_verification" && body.challenge) {
+        res.statusCode = 200;
+        res.setHeader("Content-Type", "text/plain");
+        return res.end(body.challenge);
+      }
+      
+      // Slack retries events it didn't get a quick answer for; handle each one once
+      if (body.type === "event_callback" && body.event_id) {
+        if (!await markEventSeen(body.event_id)) {
+          log.info("Duplicate event ignored", { eventId: body.event_id, retry: req.headers["x-slack-retry-num"] });
+          res.statusCode = 200;
+          return res.end("");
+        }
+        eventId = body.event_id;
+      }
+      
       // Handle events (messages)
       if (body.type === "event_callback") {
         const event = body.event;
@@ -704,32 +3403,39 @@ export default async function handler(req, res) {
           text: event.text
         });
         
-        // Handle message events
-        if (event.type === "message" && !event.bot_id && event.channel_type === "im") {
-          await handleDirectMessage({
-            message: event,
-            client: app.client,
-            say: async (text) => {
-              return await app.client.chat.postMessage({
-                channel: event.channel,
-                ...((typeof text === 'string') ? { text } : text)
-              });
-            }
-          });
+        // Handle message events and App Home visits
+        if ((event.type === "message" && !event.bot_id && event.channel_type === "im") || event.type === "app_home_opened") {
+          job = await enqueueOwnJob("event", event);
         }
       }
     }
-    
-    res.statusCode = 200;
-    res.end("");
-    
+  
   } catch (error) {
     log.error("Error processing request", {
       error: error.message,
       stack: error.stack
     });
     
+    // Let Slack's retry have another go
+    if (eventId) await forgetEvent(eventId);
+    
     res.statusCode = 500;
-    res.end("Internal server error");
+    return res.end("Internal server error");
+  }
+  
+  res.statusCode = 200;
+  if (viewResponse) {
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(viewResponse));
+  } else {
+    res.end("");
+  }
+  
+  // Slack has its answer; do the work while Vercel keeps the function alive. A job
+  // that fails, or that this invocation doesn't finish, is left to the worker endpoint (api/worker.js).
+  if (job) {
+    waitUntil(runQueuedJob(job).catch((error) => {
+      log.error("Error running queued job", { jobId: job.id, error: error.message });
+    }));
   }
 }
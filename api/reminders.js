@@ -0,0 +1,8 @@
+// --- Stale approval follow-ups ---
+// Reminds, escalates and (if a policy says so) approves or expires pending requests
+// nobody has decided on. Run daily on a schedule (see lib/cron.js for authorization).
+
+import { cronRoute } from "../lib/cron.js";
+import { processStaleRequests } from "./index.js";
+
+export default cronRoute("Stale request follow-up", () => processStaleRequests());
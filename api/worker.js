@@ -0,0 +1,9 @@
+// --- Queue worker endpoint ---
+// Runs queued Slack work that the main handler didn't finish: retries that have come
+// due and jobs left behind when an invocation was cut short, then clears expired
+// session rows. Call it on a schedule (see lib/cron.js for the authorization it expects).
+
+import { cronRoute } from "../lib/cron.js";
+import { runWorker } from "./index.js";
+
+export default cronRoute("Queue worker", () => runWorker());
@@ -0,0 +1,76 @@
+// --- Leave balances ---
+// Accrual and carry-over for one leave type. A policy is { policyId, annualAllowance,
+// accrual (monthly|yearly), carryOverCap, carryOverExpiry (MM-DD or null) } and an
+// employee { startDate (YYYY-MM-DD or null), fte }, as read from the Policies and
+// Employees tabs. The leave year is the calendar year.
+
+import { toISODate, daysBetween } from "./dates.js";
+
+// Share of the period [from, to] during which someone who joined on `startDate` was employed
+function employedFraction(from, to, startDate) {
+  if (!startDate || startDate <= from) return 1;
+  if (startDate > to) return 0;
+  return (daysBetween(startDate, to) + 1) / (daysBetween(from, to) + 1);
+}
+
+// Days accrued in `year` as of `asOf` (YYYY-MM-DD), pro-rated for joiners and part-timers.
+// Yearly policies credit the whole (pro-rated) allowance on 1 January or the start date;
+// monthly policies credit a twelfth on the first of each month.
+export function calculateAccrued(policy, employee, year, asOf) {
+  const asOfYear = parseInt(asOf.slice(0, 4));
+  if (asOfYear < year) return 0;
+  if (employee.startDate && employee.startDate > asOf) return 0;
+  
+  const annual = policy.annualAllowance * employee.fte;
+  
+  if (policy.accrual === "monthly") {
+    const lastMonth = asOfYear > year ? 12 : parseInt(asOf.slice(5, 7));
+    let accrued = 0;
+    for (let month = 1; month <= lastMonth; month++) {
+      const monthStart = `${year}-${String(month).padStart(2, "0")}-01`;
+      const monthEnd = toISODate(new Date(Date.UTC(year, month, 0)));
+      accrued += (annual / 12) * employedFraction(monthStart, monthEnd, employee.startDate);
+    }
+    return accrued;
+  }
+  
+  return annual * employedFraction(`${year}-01-01`, `${year}-12-31`, employee.startDate);
+}
+
+// Compute a balance for the leave year `asOf` falls in (reset every 1 January).
+// `requests` are approved requests as { start, days }; each counts against the year it starts in.
+// Carry-over from last year is capped, used first, and forfeited if still unused at its expiry date.
+export function calculateBalance({ policy, employee, requests, asOf = toISODate(new Date()) }) {
+  const year = parseInt(asOf.slice(0, 4));
+  const usedIn = (y, until = `${y}-12-31`) => requests
+    .filter(r => r.start >= `${y}-01-01` && r.start <= until)
+    .reduce((sum, r) => sum + r.days, 0);
+  
+  const accrued = calculateAccrued(policy, employee, year, asOf);
+  const used = usedIn(year);
+  
+  // Carry-over: whatever was left of last year's full allowance, up to the cap
+  const lastYearLeft = calculateAccrued(policy, employee, year - 1, `${year - 1}-12-31`) - usedIn(year - 1);
+  const carriedOver = Math.min(policy.carryOverCap, Math.max(0, lastYearLeft));
+  
+  let carryOverExpires = null;
+  let carryOverForfeited = 0;
+  if (carriedOver > 0 && policy.carryOverExpiry) {
+    carryOverExpires = `${year}-${policy.carryOverExpiry}`;
+    if (asOf > carryOverExpires) {
+      carryOverForfeited = Math.max(0, carriedOver - usedIn(year, carryOverExpires));
+    }
+  }
+  
+  return {
+    year,
+    policyId: policy.policyId,
+    annualAllowance: policy.annualAllowance * employee.fte,
+    accrued,
+    carriedOver,
+    carryOverExpires,
+    carryOverForfeited,
+    used,
+    remaining: accrued + carriedOver - carryOverForfeited - used
+  };
+}
@@ -0,0 +1,102 @@
+// --- DM conversation drafts ---
+// A draft collects what an employee has told the bot so far: { start, end, reason,
+// leaveType, portion, hours }, plus `days` (day numbers still waiting for a month)
+// and `halfDay` (a half day still waiting for morning or afternoon). Each DM is
+// applied on top of the draft, so follow-up answers and corrections such as
+// "actually make it Thursday too" build on what was already said.
+
+import { extractDates, extractDetails, findDaysWithoutMonth, findMonth, isValidISODate } from "./date-parser.js";
+
+// "Thursday too" adds to the dates instead of replacing them
+const EXTEND_WORDS = /(?<!\p{L})(too|also|as well|add|plus|anche|pure|aggiungi)(?!\p{L})/iu;
+const CANCEL_WORDS = /^\s*(cancel|never ?mind|forget it|stop|annulla|lascia (stare|perdere))\W*$/iu;
+
+// The question asked for each missing piece
+export const QUESTIONS = {
+  dates: "Which dates would you like off? For example \"Dec 23-27\" or \"next Friday\".",
+  month: "Which month is that?",
+  portion: "Would you like the morning or the afternoon off? Or say \"full day\"."
+};
+
+// Day numbers placed in the month of an existing date, or null if they don't fit in it
+function datesInMonthOf(days, isoDate) {
+  const [start, end = start] = days.map(day => `${isoDate.slice(0, 8)}${String(day).padStart(2, "0")}`);
+  return isValidISODate(start) && isValidISODate(end) && start <= end ? { start, end } : null;
+}
+
+// Whether a message abandons the conversation
+export function isCancelMessage(text) {
+  return CANCEL_WORDS.test(text || "");
+}
+
+// Apply a message to a draft. Returns the new draft and whether anything in the
+// message was understood. Throws RequestParseError for impossible dates.
+export function reviseDraft(draft, text, { today }) {
+  const next = { ...draft };
+  let understood = false;
+  
+  const details = extractDetails(text);
+  for (const field of ["reason", "leaveType", "portion", "hours"]) {
+    if (details[field] !== undefined) {
+      next[field] = details[field];
+      understood = true;
+    }
+  }
+  if (details.halfDay) {
+    next.halfDay = true;
+    understood = true;
+  } else if (details.portion) {
+    delete next.halfDay;
+  }
+  
+  // An answer to "which month?" completes the day numbers from earlier
+  let dates = extractDates(text, { today, reference: draft.start || today, leaveType: next.leaveType });
+  const month = findMonth(text);
+  if (!dates && draft.days && month) {
+    dates = extractDates(`${draft.days.join("-")} ${month}`, { today });
+  }
+  // Day numbers alone ("make it the 30th") stay in the month of the dates so far
+  const days = dates ? null : findDaysWithoutMonth(text);
+  if (days && draft.start) {
+    dates = datesInMonthOf(days, draft.start);
+  }
+  
+  if (dates) {
+    understood = true;
+    delete next.days;
+    if (draft.start && EXTEND_WORDS.test(text)) {
+      next.start = dates.start < draft.start ? dates.start : draft.start;
+      next.end = dates.end > draft.end ? dates.end : draft.end;
+    } else {
+      next.start = dates.start;
+      next.end = dates.end;
+    }
+  } else if (days) {
+    // Days that don't fit that month wait for "which month?" instead
+    next.days = days;
+    delete next.start;
+    delete next.end;
+    understood = true;
+  }
+  
+  return { draft: next, understood };
+}
+
+// The first thing the draft still needs ("dates", "month" or "portion"), or null when complete
+export function missingField(draft) {
+  if (!draft.start) return draft.days ? "month" : "dates";
+  if (draft.halfDay && !["am", "pm"].includes(draft.portion)) return "portion";
+  return null;
+}
+
+// The parsed-request shape expected by validateParsedRequest
+export function draftToRequest(draft) {
+  return {
+    start: draft.start,
+    end: draft.end,
+    reason: draft.reason || "",
+    leaveType: draft.leaveType || "vacation",
+    portion: draft.portion || "full",
+    hours: draft.hours ?? null
+  };
+}
@@ -0,0 +1,34 @@
+// --- Scheduled endpoints ---
+// Routes run by a scheduler (e.g. Vercel Cron) must send "Authorization: Bearer <CRON_SECRET>".
+
+import { log } from "./log.js";
+import { hasBearerToken } from "./secrets.js";
+
+// Whether the request carries the CRON_SECRET bearer token
+export function isAuthorizedCronRequest(req) {
+  return hasBearerToken(req, process.env.CRON_SECRET);
+}
+
+// A scheduled route: checks the cron secret, runs `run()` and answers with what it
+// returns as JSON. `name` is how the logs refer to it.
+export function cronRoute(name, run) {
+  return async function scheduledRoute(req, res) {
+    if (!isAuthorizedCronRequest(req)) {
+      res.statusCode = 401;
+      return res.end("Unauthorized");
+    }
+    
+    try {
+      const result = await run();
+      log.info(`${name} finished`, result);
+      
+      res.statusCode = 200;
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(result));
+    } catch (error) {
+      log.error(`${name} failed`, { error: error.message });
+      res.statusCode = 500;
+      res.end("Internal server error");
+    }
+  };
+}
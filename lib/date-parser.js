@@ -0,0 +1,430 @@
+// --- Rule-based PTO request parser ---
+// Understands the common English and Italian phrasings ("Dec 23-27", "next Friday",
+// "tomorrow", "the week of 3 March", "dal 23 al 27 dicembre", ...) without a network
+// call. parseRequestLocally returns null when it finds no dates, or when the message
+// gives a length ("for 2 days") that needs business days worked out, so the caller
+// can fall back to the LLM; validateParsedRequest checks either result.
+//
+// Dates without a year and bare weekdays normally mean the next time they come round.
+// Sick leave is usually reported after the fact, so "I was sick on Oct 16" looks back;
+// sick leave or past-tense wording on its own takes whichever occurrence is nearest.
+
+import { toISODate, addDays, daysBetween, isWeekend } from "./dates.js";
+
+// Raised with a message that can be shown to the user as-is
+export class RequestParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RequestParseError";
+  }
+}
+
+const MONTHS = {
+  january: 1, jan: 1, gennaio: 1, gen: 1,
+  february: 2, feb: 2, febbraio: 2,
+  march: 3, mar: 3, marzo: 3,
+  april: 4, apr: 4, aprile: 4,
+  may: 5, maggio: 5, mag: 5,
+  june: 6, jun: 6, giugno: 6, giu: 6,
+  july: 7, jul: 7, luglio: 7, lug: 7,
+  august: 8, aug: 8, agosto: 8, ago: 8,
+  september: 9, sept: 9, sep: 9, settembre: 9, set: 9,
+  october: 10, oct: 10, ottobre: 10, ott: 10,
+  november: 11, nov: 11, novembre: 11,
+  december: 12, dec: 12, dicembre: 12, dic: 12
+};
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0, domenica: 0,
+  monday: 1, mon: 1, "lunedì": 1, lunedi: 1,
+  tuesday: 2, tues: 2, tue: 2, "martedì": 2, martedi: 2,
+  wednesday: 3, wed: 3, "mercoledì": 3, mercoledi: 3,
+  thursday: 4, thurs: 4, thur: 4, thu: 4, "giovedì": 4, giovedi: 4,
+  friday: 5, fri: 5, "venerdì": 5, venerdi: 5,
+  saturday: 6, sat: 6, sabato: 6
+};
+
+const LEAVE_TYPE_KEYWORDS = [
+  ["parental", /(?<!\p{L})(parental|maternity|paternity|congedo parentale|maternità|paternità)(?!\p{L})/u],
+  ["sick", /(?<!\p{L})(sick|ill|unwell|malattia|malato|malata)(?!\p{L})/u],
+  ["unpaid", /(?<!\p{L})(unpaid|non retribuit[oa]|senza stipendio|aspettativa)(?!\p{L})/u]
+];
+
+// Longest names first so "september" wins over "sep"
+const alternation = (names) => Object.keys(names).sort((a, b) => b.length - a.length).join("|");
+const START = "(?<![\\p{L}\\d])";
+const END = "(?![\\p{L}])";
+const DAY = "(?:3[01]|[12]\\d|0?[1-9])(?:st|nd|rd|th)?(?!\\d|:|[.,]\\d)";
+const MONTH = `(?:${alternation(MONTHS)})${END}`;
+const WEEKDAY = `(?:${alternation(WEEKDAYS)})${END}`;
+
+const DATE_EXPRESSION = new RegExp([
+  `(?<iso>\\d{4}-\\d{2}-\\d{2})`,
+  `${START}(?<dmDay>${DAY})\\s*(?:of\\s+)?(?<dmMonth>${MONTH})(?:\\s*,?\\s*(?<dmYear>\\d{4}))?`,
+  `${START}(?<mdMonth>${MONTH})\\s+(?<mdDay>${DAY})(?:\\s*,?\\s*(?<mdYear>\\d{4}))?`,
+  `${START}(?<relative>day after tomorrow|dopodomani|tomorrow|domani|day before yesterday|l'altro ieri|altroieri|yesterday|ieri|today|oggi)${END}`,
+  `${START}(?:(?<weekdayModifier>next|this|last|prossim[oa]|quest[oa])\\s+)?(?<weekday>${WEEKDAY})(?:\\s+(?<weekdaySuffix>prossim[oa]|scors[oa]))?`,
+  `${START}(?<bareDay>${DAY})(?!\\s*(?:hours?|hrs?|h|ore|ora|days?|giorni|giorno|weeks?|settiman[ae])${END})`
+].join("|"), "giu");
+
+// Words that join the two ends of a range
+const RANGE_CONNECTOR = /^\s*(?:-|–|—|to|till|until|through|thru|al|all'|a|fino al)\s*(?:the\s+)?$/i;
+// Words that join separate days, as in "Monday and Friday"; a range only after "between"
+const LIST_CONNECTOR = /^\s*(?:,|&|and|plus|e|ed)\s*(?:the\s+|il\s+)?$/i;
+const BETWEEN = /(?<!\p{L})(?:between|tra|fra)\s+(?:the\s+|il\s+)?$/iu;
+
+// A length given in days or weeks, e.g. "for 2 days", "3 giorni", "a week"
+const DAY_COUNT = new RegExp(
+  `${START}(?:(?:[2-9]|[1-9]\\d+|two|three|four|five|six|seven|eight|nine|ten|due|tre|quattro|cinque|sei|sette|otto|nove|dieci)` +
+  `\\s*-?\\s*(?:working\\s+|business\\s+)?(?:days|weeks|giorni|settimane)|(?:1|a|one|una)\\s+(?:whole\\s+)?(?:week|settimana))${END}`,
+  "iu"
+);
+
+// Wording that says the time off has already happened, e.g. "I was sick", "yesterday"
+const PAST_WORDING = /(?<!\p{L})(?:was|were|have been|had|yesterday|ieri|ero|sono stat[oa]|sono rimast[oa])(?!\p{L})/iu;
+
+// --- Date helpers (YYYY-MM-DD strings, UTC) ---
+
+function makeDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject roll-overs such as 31 April -> 1 May
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return toISODate(date);
+}
+
+function weekdayOf(isoDate) {
+  return new Date(isoDate).getUTCDay();
+}
+
+// Whether nothing but a weekend separates two dates
+function onlyWeekendBetween(start, end) {
+  for (let date = addDays(start, 1); date < end; date = addDays(date, 1)) {
+    if (!isWeekend(date)) return false;
+  }
+  return true;
+}
+
+// Monday of the week containing a date
+function mondayOf(isoDate) {
+  return addDays(isoDate, -((weekdayOf(isoDate) + 6) % 7));
+}
+
+// Whether a string is a real calendar date in YYYY-MM-DD form
+export function isValidISODate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [year, month, day] = value.split("-").map(Number);
+  return makeDate(year, month, day) === value;
+}
+
+// --- Parsing ---
+
+// Find the date expressions in a message, in order
+function findExpressions(text) {
+  const expressions = [];
+  for (const match of text.matchAll(DATE_EXPRESSION)) {
+    const groups = Object.fromEntries(Object.entries(match.groups).filter(([, v]) => v !== undefined));
+    expressions.push({ ...groups, index: match.index, length: match[0].length });
+  }
+  return expressions;
+}
+
+// The text between two expressions
+function between(text, a, b) {
+  return text.slice(a.index + a.length, b.index);
+}
+
+// Whether two expressions are the ends of a range: "Dec 23-27", "between the 23rd and the 27th"
+function isRange(text, first, second) {
+  const joiner = between(text, first, second);
+  return RANGE_CONNECTOR.test(joiner) ||
+         (LIST_CONNECTOR.test(joiner) && BETWEEN.test(text.slice(0, first.index)));
+}
+
+// A bare day number only counts next to a day-and-month, in a range ("23-27 December",
+// "Dec 23-27") or a list ("23 and 27 December"); it takes its month (and year) from that neighbour.
+function attachBareDays(text, expressions) {
+  const hasMonth = (e) => e.dmMonth || e.mdMonth;
+  const joined = (a, b) => RANGE_CONNECTOR.test(between(text, a, b)) || LIST_CONNECTOR.test(between(text, a, b));
+  
+  return expressions.flatMap((e, i) => {
+    if (!e.bareDay) return [e];
+    
+    const next = expressions[i + 1];
+    const previous = expressions[i - 1];
+    if (next && hasMonth(next) && joined(e, next)) {
+      return [{ ...e, month: next.dmMonth || next.mdMonth, year: next.dmYear || next.mdYear }];
+    }
+    if (previous && hasMonth(previous) && joined(previous, e)) {
+      return [{ ...e, month: previous.dmMonth || previous.mdMonth, year: previous.dmYear || previous.mdYear }];
+    }
+    return [];
+  });
+}
+
+// Drop a weekday that only decorates an explicit date, as in "Monday 23 December"
+function dropRedundantWeekdays(text, expressions) {
+  return expressions.filter((e, i) => {
+    const next = expressions[i + 1];
+    if (!e.weekday || !next || next.weekday || next.relative) return true;
+    return !/^\s*,?\s*(?:the\s+)?$/i.test(text.slice(e.index + e.length, next.index));
+  });
+}
+
+// Resolve an expression to a date. `reference` is today for the first date of a
+// request and the start date for the second, so "Monday to Friday" stays in one week.
+// `direction` says where the first date falls when it has no year or is a bare weekday:
+// "forward" (the next occurrence), "past" (the latest one up to the reference; for a
+// weekday, before it) or "nearest".
+function resolveExpression(e, { today, reference, isEnd, direction = "forward" }) {
+  if (e.iso) {
+    return isValidISODate(e.iso) ? e.iso : { invalid: e.iso };
+  }
+  
+  if (e.relative) {
+    const offsets = {
+      today: 0, oggi: 0, tomorrow: 1, domani: 1, "day after tomorrow": 2, dopodomani: 2,
+      yesterday: -1, ieri: -1, "day before yesterday": -2, "l'altro ieri": -2, altroieri: -2
+    };
+    return addDays(today, offsets[e.relative.toLowerCase()]);
+  }
+  
+  if (e.weekday) {
+    const target = WEEKDAYS[e.weekday.toLowerCase()];
+    const modifier = (e.weekdayModifier || e.weekdaySuffix || "").toLowerCase();
+    if (modifier === "this" || modifier.startsWith("quest")) {
+      const date = addDays(mondayOf(today), (target + 6) % 7);
+      return date < today ? addDays(date, 7) : date;
+    }
+    // Days back to the latest such weekday before a date
+    const back = (from) => (target - weekdayOf(from) - 7) % 7 || -7;
+    // "last Friday" is the one before today, whatever the rest of the message says
+    if (modifier === "last" || modifier.startsWith("scors")) return addDays(today, back(today));
+    
+    // The coming occurrence; an end date may fall on the start date itself
+    let days = (target - weekdayOf(reference) + 7) % 7;
+    if (days === 0 && !isEnd) days = 7;
+    if (!isEnd && !modifier && direction === "past") return addDays(reference, back(reference));
+    if (!isEnd && !modifier && direction === "nearest") {
+      if (target === weekdayOf(reference)) return reference;
+      return addDays(reference, -back(reference) < days ? back(reference) : days);
+    }
+    return addDays(reference, days);
+  }
+  
+  const day = parseInt(e.dmDay || e.mdDay || e.bareDay);
+  const monthName = e.dmMonth || e.mdMonth || e.month;
+  const month = MONTHS[monthName.toLowerCase()];
+  const explicitYear = e.dmYear || e.mdYear || e.year;
+  
+  if (explicitYear) {
+    return makeDate(parseInt(explicitYear), month, day) || { invalid: `${explicitYear}-${month}-${day}` };
+  }
+  
+  // No year: the occurrence on the side of the reference that `direction` asks for
+  const year = parseInt(reference.slice(0, 4));
+  const candidates = [year - 1, year, year + 1].map(y => makeDate(y, month, day)).filter(Boolean);
+  if (candidates.length === 0) {
+    return { invalid: `${day} ${monthName}` };
+  }
+  const previous = candidates.filter(date => date <= reference).at(-1);
+  const coming = candidates.find(date => date >= reference);
+  if (isEnd || direction === "forward" || !previous) return coming || { invalid: `${day} ${monthName}` };
+  if (direction === "past" || !coming) return previous;
+  return daysBetween(previous, reference) <= daysBetween(reference, coming) ? previous : coming;
+}
+
+function detectPortion(text) {
+  if (/(?<!\p{L})(morning|mattina|mattinata)(?!\p{L})/iu.test(text)) return "am";
+  if (/(?<!\p{L})(afternoon|pomeriggio)(?!\p{L})/iu.test(text)) return "pm";
+  if (/(?<!\p{L})(full day|whole day|all day|giornata intera|tutto il giorno|tutta la giornata)(?!\p{L})/iu.test(text)) return "full";
+  return null;
+}
+
+function detectHours(text) {
+  const match = text.match(/(\d+(?:[.,]\d+)?)\s*(?:hours?|hrs?|h|ore|ora)(?!\p{L})/iu);
+  return match ? parseFloat(match[1].replace(",", ".")) : null;
+}
+
+function detectLeaveType(text) {
+  const lower = text.toLowerCase();
+  const found = LEAVE_TYPE_KEYWORDS.find(([, pattern]) => pattern.test(lower));
+  return found ? found[0] : null;
+}
+
+function detectReason(text) {
+  const match = text.match(/(?<!\p{L})(?:for|because|per|perché)\s+(.+)$/iu);
+  if (!match) return null;
+  return match[1].trim().replace(/[.!]+$/, "");
+}
+
+// Refuse two dates that aren't a range, as in "Monday and Friday"
+function separateDaysError(text, first, second) {
+  const quote = (e) => `"${text.slice(e.index, e.index + e.length).trim()}"`;
+  return new RequestParseError(
+    `${quote(first)} and ${quote(second)} are separate days. Please ask for each block of days in its own message.`
+  );
+}
+
+// The dates mentioned in a message as { start, end }, or null if there are none.
+// Two dates only make a range when joined like one ("Dec 23-27", "Monday to Friday");
+// separate days ("Monday and Friday") are refused with a RequestParseError unless only
+// a weekend lies between them. A length in days ("Monday for 2 days") also gives null,
+// since the end depends on business days. Weekdays and dates without a year are
+// resolved from `reference` (default: today); see resolveExpression for the direction.
+export function extractDates(text, { today = toISODate(new Date()), reference = today, leaveType = null } = {}) {
+  const lower = text.toLowerCase();
+  if (DAY_COUNT.test(text)) return null;
+  
+  let expressions = findExpressions(text);
+  expressions = attachBareDays(text, expressions);
+  expressions = dropRedundantWeekdays(text, expressions);
+  
+  if (expressions.length === 0) {
+    // "next week" on its own means Monday to Friday of next week
+    if (/(next week|(la )?settimana prossima|(la )?prossima settimana)/.test(lower)) {
+      const monday = addDays(mondayOf(today), 7);
+      return { start: monday, end: addDays(monday, 4) };
+    }
+    return null;
+  }
+  
+  // Sick leave told in the past tense looks back; either on its own takes the nearest date
+  const sick = (leaveType || detectLeaveType(text)) === "sick";
+  const pastTense = PAST_WORDING.test(text);
+  const direction = sick && pastTense ? "past" : sick || pastTense ? "nearest" : "forward";
+  const start = resolveExpression(expressions[0], { today, reference, isEnd: false, direction });
+  if (typeof start !== "string") {
+    throw new RequestParseError(`"${start.invalid}" isn't a real date.`);
+  }
+  
+  // "the week of 3 March" covers that whole working week
+  const before = lower.slice(0, expressions[0].index);
+  if (/(week of|settimana del(l')?|settimana dal)\s*(the\s+)?$/.test(before)) {
+    const monday = mondayOf(start);
+    return { start: monday, end: addDays(monday, 4) };
+  }
+  
+  let end = start;
+  if (expressions.length > 1) {
+    const [first, second] = expressions;
+    const isList = LIST_CONNECTOR.test(between(text, first, second));
+    if (!isRange(text, first, second) && !isList) return null;
+    
+    end = resolveExpression(second, { today, reference: start, isEnd: true });
+    if (typeof end !== "string") {
+      throw new RequestParseError(`"${end.invalid}" isn't a real date.`);
+    }
+    // "Friday and Monday" are still one block of days
+    if (isList && !isRange(text, first, second) && !onlyWeekendBetween(start, end)) {
+      throw separateDaysError(text, first, second);
+    }
+  }
+  
+  return { start, end };
+}
+
+// Day numbers given without a month, as in "the 23rd to the 27th": [23, 27], or null.
+// Separate days ("the 23rd and the 27th") are refused as in extractDates.
+export function findDaysWithoutMonth(text) {
+  const expressions = findExpressions(text);
+  if (expressions.some(e => !e.bareDay)) return null;
+  
+  const [first, second] = expressions;
+  if (!first) return null;
+  if (second && LIST_CONNECTOR.test(between(text, first, second))) {
+    throw separateDaysError(text, first, second);
+  }
+  return (second && isRange(text, first, second) ? [first, second] : [first]).map(e => parseInt(e.bareDay));
+}
+
+// The first month named in a message ("December", "dic"), or null
+export function findMonth(text) {
+  const match = text.match(new RegExp(`${START}(${MONTH})`, "iu"));
+  return match ? match[1] : null;
+}
+
+// The request details a message states explicitly. Only the fields that are
+// mentioned are set: reason, leaveType, portion ("full", "am", "pm"), hours, and
+// halfDay when a half day is asked for without saying which half.
+export function extractDetails(text) {
+  const details = {};
+  const reason = detectReason(text);
+  const leaveType = detectLeaveType(text);
+  const portion = detectPortion(text);
+  const hours = detectHours(text);
+  
+  if (reason) details.reason = reason;
+  if (leaveType) details.leaveType = leaveType;
+  if (portion) details.portion = portion;
+  if (hours !== null) details.hours = hours;
+  if (!portion && /(half[- ]day|half a day|mezza giornata)/i.test(text)) details.halfDay = true;
+  return details;
+}
+
+// Parse a message without the LLM. Returns { start, end, reason, leaveType, portion, hours }
+// or null if no dates could be found. `today` is a YYYY-MM-DD string.
+export function parseRequestLocally(text, { today = toISODate(new Date()) } = {}) {
+  const details = extractDetails(text);
+  
+  // A half day without saying which half is left to the LLM
+  if (details.halfDay) return null;
+  
+  const dates = extractDates(text, { today });
+  if (!dates) return null;
+  
+  return {
+    ...dates,
+    reason: details.reason || "",
+    leaveType: details.leaveType || "vacation",
+    portion: details.portion || "full",
+    hours: details.hours ?? null
+  };
+}
+
+// --- Validation ---
+
+const VALID_PORTIONS = ["full", "am", "pm"];
+const VALID_LEAVE_TYPES = ["vacation", "sick", "parental", "unpaid"];
+
+// Check a parsed request (from either parser) and normalize its optional fields.
+// Throws RequestParseError explaining what is wrong.
+export function validateParsedRequest(parsed, { today = toISODate(new Date()), workdayHours = 8 } = {}) {
+  if (!parsed || typeof parsed !== "object") {
+    throw new RequestParseError("I couldn't find any dates in your message.");
+  }
+  
+  const { start, end } = parsed;
+  if (!start) {
+    throw new RequestParseError("I couldn't find a start date in your message.");
+  }
+  if (!isValidISODate(start)) {
+    throw new RequestParseError(`"${start}" isn't a real date.`);
+  }
+  if (end && !isValidISODate(end)) {
+    throw new RequestParseError(`"${end}" isn't a real date.`);
+  }
+  
+  const leaveType = VALID_LEAVE_TYPES.includes(parsed.leaveType) ? parsed.leaveType : "vacation";
+  const endDate = end || start;
+  
+  if (endDate < start) {
+    throw new RequestParseError(`The end date (${endDate}) is before the start date (${start}).`);
+  }
+  // Sick leave is often reported after the fact; everything else has to be in the future
+  if (start < today && leaveType !== "sick") {
+    throw new RequestParseError(`${start} is in the past. I can only book time off from today (${today}) onwards.`);
+  }
+  if (addDays(start, 366) < endDate) {
+    throw new RequestParseError(`${start} to ${endDate} is longer than a year. Please split it into separate requests.`);
+  }
+  
+  const hours = parseFloat(parsed.hours);
+  return {
+    start,
+    end: endDate,
+    reason: typeof parsed.reason === "string" ? parsed.reason.trim() : "",
+    leaveType,
+    portion: VALID_PORTIONS.includes(parsed.portion) ? parsed.portion : "full",
+    hours: hours > 0 && hours < workdayHours ? hours : null
+  };
+}
@@ -0,0 +1,66 @@
+// --- Date helpers ---
+// Dates are YYYY-MM-DD strings, worked on in UTC so the server's time zone never shifts them.
+
+export function toISODate(date) {
+  return date.toISOString().split("T")[0];
+}
+
+export function addDays(isoDate, days) {
+  const date = new Date(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toISODate(date);
+}
+
+// Calendar days from one date to another: 0 for the same day, negative when `to` is earlier
+export function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24));
+}
+
+export function isWeekend(isoDate) {
+  const day = new Date(isoDate).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+// Read a day count from a sheet cell, tolerating decimal commas from localized sheets
+export function parseDays(value) {
+  const days = parseFloat(String(value ?? "").replace(",", "."));
+  return Number.isFinite(days) ? days : 0;
+}
+
+// Business days from one date to another, both included: weekdays that aren't in
+// `holidays` (a Map of date -> name)
+export function calculateBusinessDays(startDate, endDate, holidays = new Map()) {
+  let count = 0;
+  for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+    if (!isWeekend(day) && !holidays.has(day)) count++;
+  }
+  return count;
+}
+
+// Unix time of midnight at the start of a date in a time zone (UTC if the zone is unknown)
+export function startOfDayInZone(isoDate, timeZone) {
+  const utc = new Date(`${isoDate}T00:00:00Z`);
+  try {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit"
+      }).formatToParts(utc).map(part => [part.type, part.value])
+    );
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.floor((2 * utc.getTime() - wallClock) / 1000);
+  } catch (error) {
+    return Math.floor(utc.getTime() / 1000);
+  }
+}
+
+// Format a (possibly fractional) day count for display, e.g. 0.5 or 2.25
+export function formatDays(days) {
+  return String(Math.round(days * 100) / 100);
+}
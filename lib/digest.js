@@ -0,0 +1,40 @@
+// --- Morning digest ---
+// The "who's out" message posted to a team's digest channel every weekday morning
+// (see runMorningJobs). It goes to a whole team, so it says who is out but never why
+// (sick leave, parental, ...).
+
+import { addDays, toISODate, formatDays } from "./dates.js";
+
+// e.g. "Mon 2024-12-23"
+export function formatDayName(isoDate) {
+  const weekday = new Date(isoDate).toLocaleDateString("en-US", { weekday: "short", timeZone: "UTC" });
+  return `${weekday} ${isoDate}`;
+}
+
+// The last day the digest covers: Friday of the current week (today itself at the weekend)
+export function digestWeekEnd(now) {
+  const day = now.getUTCDay();
+  // Sunday is day 0, but it ends the week rather than starting the next one
+  return day === 0 || day === 6 ? toISODate(now) : addDays(toISODate(now), 5 - day);
+}
+
+// The digest for one team, from listAbsences entries between today and the end of the week
+export function buildDigestMessage(team, absences, today) {
+  const describe = (a) => `• <@${a.userId}> Out of office`;
+  const outToday = absences
+    .filter(a => a.start <= today)
+    .map(a => `${describe(a)}${a.start === a.end && a.businessDays < 1 ? ` (${formatDays(a.businessDays)} day)` : ""}${a.end > today ? ` – back after ${formatDayName(a.end)}` : ""}`);
+  const later = absences
+    .filter(a => a.start > today)
+    .map(a => `${describe(a)} – ${a.start === a.end ? formatDayName(a.start) : `${formatDayName(a.start)} to ${formatDayName(a.end)}`}`);
+  
+  const heading = `🗓️ *Who's out on ${team} – ${formatDayName(today)}*`;
+  if (outToday.length === 0 && later.length === 0) {
+    return { text: `${heading}\nEveryone is in this week. 🙌` };
+  }
+  return {
+    text: `${heading}\n\n` +
+          `*Today*\n${outToday.length ? outToday.join("\n") : "Everyone is in."}` +
+          (later.length ? `\n\n*Later this week*\n${later.join("\n")}` : "")
+  };
+}
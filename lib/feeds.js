@@ -0,0 +1,114 @@
+// --- Absence feeds ---
+// Read-only routes for calendar apps and planning tools (api/calendar.js, api/absences.js).
+// Calendar feed URLs carry a token signed with FEED_SECRET for what they show
+// ("team:Design" or "user:U123"), so links can be handed out without storing them;
+// changing FEED_SECRET invalidates every link. The JSON API expects
+// "Authorization: Bearer <ABSENCES_API_TOKEN>".
+
+import crypto from "crypto";
+
+import { addDays, formatDays } from "./dates.js";
+import { safeEqual, hasBearerToken } from "./secrets.js";
+
+// The token for a feed scope, or null when FEED_SECRET isn't set
+export function feedToken(scope) {
+  const secret = process.env.FEED_SECRET;
+  if (!secret) return null;
+  return crypto.createHmac("sha256", secret).update(scope).digest("hex").slice(0, 32);
+}
+
+// Whether a token opens the feed for a scope
+export function isValidFeedToken(scope, token) {
+  const expected = feedToken(scope);
+  return Boolean(expected) && safeEqual(expected, token);
+}
+
+// Whether the request carries the ABSENCES_API_TOKEN bearer token
+export function isAuthorizedApiRequest(req) {
+  return hasBearerToken(req, process.env.ABSENCES_API_TOKEN);
+}
+
+// Query parameters of a Node request
+export function readQuery(req) {
+  return new URL(req.url || "/", "http://localhost").searchParams;
+}
+
+// --- Absences ---
+// Reasons are never shared, and a team feed only says who is out, not which kind of
+// leave; only the employee's own feed names it.
+
+// What the feeds and the absences API show of a request. The kind of leave is only
+// there for a list of one person's absences (`withLeaveType`).
+export function toAbsence(request, team, { withLeaveType = false } = {}) {
+  return {
+    requestId: request.requestId,
+    userId: request.userId,
+    userName: request.userName,
+    team,
+    start: request.start,
+    end: request.end,
+    businessDays: request.businessDays,
+    ...(withLeaveType ? { leaveType: request.leaveType } : {}),
+    status: request.status.startsWith("pending") ? "pending" : request.status
+  };
+}
+
+// Calendar events for absences (see buildICalendar). `leaveLabel(leaveType)` names the
+// kind of leave on a person's own feed; a team feed says "Out of office".
+export function absenceEvents(absences, { team = null, leaveLabel }) {
+  return absences.map(a => ({
+    uid: `${a.requestId}@pto-buddy`,
+    start: a.start,
+    end: a.end,
+    summary: `${a.userName} – ${team ? "Out of office" : leaveLabel(a.leaveType)}` +
+             (a.businessDays < 1 ? ` (${formatDays(a.businessDays)} day)` : "")
+  }));
+}
+
+// --- iCalendar ---
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 characters continue on the next line after a space
+function foldLine(line) {
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) {
+    parts.push(` ${line.slice(i, i + 74)}`);
+  }
+  return parts.join("\r\n");
+}
+
+const compactDate = (isoDate) => isoDate.replace(/-/g, "");
+const compactTimestamp = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Build an iCalendar document of all-day events
+// ({ uid, start, end (inclusive, YYYY-MM-DD), summary, description }).
+export function buildICalendar({ name, events, now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//PTO Buddy//Absences//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${compactTimestamp(now)}`,
+      `DTSTART;VALUE=DATE:${compactDate(event.start)}`,
+      `DTEND;VALUE=DATE:${compactDate(addDays(event.end, 1))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+  
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
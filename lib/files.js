@@ -0,0 +1,14 @@
+// --- Local files ---
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Write `data` to `file` as JSON. It goes to a temp file first and is renamed into place,
+// so a crash never leaves half a file behind and readers see the old or the new one.
+export async function writeJsonFile(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
@@ -0,0 +1,43 @@
+// --- Google API auth ---
+// Credentials are only parsed when something actually talks to Google, so the bot
+// can run against a local store without a service account.
+
+import gapiPkg from "googleapis";
+const { google } = gapiPkg;
+
+export { google };
+
+export const GOOGLE_SCOPES = [
+  "https://www.googleapis.com/auth/spreadsheets",
+  "https://www.googleapis.com/auth/calendar.events"
+];
+
+let credentials = null;
+let auth = null;
+
+// Whether a service account is configured at all
+export function hasGoogleCredentials() {
+  return Boolean(process.env.GCP_JSON);
+}
+
+// Parsed service account JSON from GCP_JSON
+export function getGcpCredentials() {
+  if (!credentials) {
+    if (!process.env.GCP_JSON) {
+      throw new Error("GCP_JSON is not set");
+    }
+    credentials = JSON.parse(process.env.GCP_JSON);
+  }
+  return credentials;
+}
+
+// Shared GoogleAuth instance for the service account
+export function getGoogleAuth() {
+  if (!auth) {
+    auth = new google.auth.GoogleAuth({
+      credentials: getGcpCredentials(),
+      scopes: GOOGLE_SCOPES
+    });
+  }
+  return auth;
+}
@@ -0,0 +1,16 @@
+// --- Logging Helper ---
+export const log = {
+  info: (message, data = {}) => {
+    console.log(`[INFO] ${new Date().toISOString()} - ${message}`, JSON.stringify(data, null, 2));
+  },
+  error: (message, error = {}) => {
+    console.error(`[ERROR] ${new Date().toISOString()} - ${message}`, {
+      message: error.message,
+      stack: error.stack,
+      ...error
+    });
+  },
+  debug: (message, data = {}) => {
+    console.log(`[DEBUG] ${new Date().toISOString()} - ${message}`, JSON.stringify(data, null, 2));
+  }
+};
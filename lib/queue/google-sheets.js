@@ -0,0 +1,149 @@
+// --- Google Sheets job queue ---
+// Jobs live on the Jobs tab of the spreadsheet, one row each:
+//   A id, B type, C payload (JSON), D attempts, E run_at, F locked_until, G last_error,
+//   H failed_at (set once dead-lettered)
+// Finished jobs are cleared rather than deleted so row numbers never shift under another
+// invocation. claim() is not atomic: two invocations claiming at the same moment could
+// both get a job, so only the worker endpoint claims (see lib/queue/index.js).
+
+import crypto from "crypto";
+import { google, getGoogleAuth } from "../google.js";
+import { log } from "../log.js";
+
+const sheets = google.sheets("v4");
+
+// Jobs columns, in sheet order (A, B, C, ...)
+const JOB_COLUMNS = ["id", "type", "payload", "attempts", "runAt", "lockedUntil", "lastError", "failedAt"];
+
+function columnOf(field) {
+  return String.fromCharCode(65 + JOB_COLUMNS.indexOf(field));
+}
+
+// Map a Jobs row to a job; empty rows (finished jobs) have no id
+function rowToJob(row) {
+  const job = {};
+  JOB_COLUMNS.forEach((field, i) => {
+    job[field] = row[i] === undefined || row[i] === "" ? null : row[i];
+  });
+  job.attempts = parseInt(job.attempts) || 0;
+  try {
+    job.payload = job.payload === null ? null : JSON.parse(job.payload);
+  } catch (error) {
+    log.error("Unreadable job payload", { jobId: job.id, error: error.message });
+    job.payload = null;
+  }
+  return job;
+}
+
+// What callers see of a queued job; dead letters also keep failedAt
+function publicJob({ failedAt, ...job }) {
+  return job;
+}
+
+export function createGoogleSheetsQueue({ spreadsheetId }) {
+  // Read every job row with its 1-based row number (the header is row 1)
+  async function readJobs() {
+    const client = await getGoogleAuth().getClient();
+    const result = await sheets.spreadsheets.values.get({
+      auth: client,
+      spreadsheetId,
+      range: "Jobs!A2:H"
+    });
+    return (result.data.values || [])
+      .map((row, i) => ({ rowNumber: i + 2, job: rowToJob(row) }))
+      .filter(({ job }) => job.id);
+  }
+  
+  async function findJob(jobId) {
+    return (await readJobs()).find(({ job }) => job.id === jobId) || null;
+  }
+  
+  // Write some fields of some rows: [{ rowNumber, fields }]
+  async function writeFields(updates) {
+    const client = await getGoogleAuth().getClient();
+    const data = updates.flatMap(({ rowNumber, fields }) => Object.entries(fields).map(([field, value]) => ({
+      range: `Jobs!${columnOf(field)}${rowNumber}`,
+      values: [[value ?? ""]]
+    })));
+    
+    // RAW keeps payloads and timestamps from being reinterpreted
+    await sheets.spreadsheets.values.batchUpdate({
+      auth: client,
+      spreadsheetId,
+      requestBody: { valueInputOption: "RAW", data }
+    });
+  }
+  
+  return {
+    name: "sheets",
+    
+    async enqueue(type, payload, { leaseMs = null } = {}) {
+      const now = new Date();
+      const job = {
+        id: `job_${crypto.randomUUID()}`,
+        type,
+        payload,
+        attempts: leaseMs ? 1 : 0,
+        runAt: now.toISOString(),
+        lockedUntil: leaseMs ? new Date(now.getTime() + leaseMs).toISOString() : null,
+        lastError: null
+      };
+      
+      const client = await getGoogleAuth().getClient();
+      await sheets.spreadsheets.values.append({
+        auth: client,
+        spreadsheetId,
+        range: "Jobs!A2:H2",
+        valueInputOption: "RAW",
+        requestBody: { values: [[job.id, type, JSON.stringify(payload), job.attempts, job.runAt, job.lockedUntil || "", "", ""]] }
+      });
+      return { ...job };
+    },
+    
+    async claim({ limit = 10, leaseMs = 60 * 1000, now = new Date() } = {}) {
+      const due = (await readJobs())
+        .filter(({ job }) => !job.failedAt && new Date(job.runAt) <= now && (!job.lockedUntil || new Date(job.lockedUntil) <= now))
+        .slice(0, limit);
+      if (due.length === 0) return [];
+      
+      const lockedUntil = new Date(now.getTime() + leaseMs).toISOString();
+      await writeFields(due.map(({ rowNumber, job }) => ({
+        rowNumber,
+        fields: { attempts: job.attempts + 1, lockedUntil }
+      })));
+      return due.map(({ job }) => publicJob({ ...job, attempts: job.attempts + 1, lockedUntil }));
+    },
+    
+    async complete(jobId) {
+      const found = await findJob(jobId);
+      if (!found) return;
+      await writeFields([{ rowNumber: found.rowNumber, fields: Object.fromEntries(JOB_COLUMNS.map(field => [field, ""])) }]);
+    },
+    
+    async retry(jobId, error, runAt) {
+      const found = await findJob(jobId);
+      if (!found) return;
+      await writeFields([{
+        rowNumber: found.rowNumber,
+        fields: { runAt: runAt.toISOString(), lockedUntil: "", lastError: error }
+      }]);
+    },
+    
+    async deadLetter(jobId, error) {
+      const found = await findJob(jobId);
+      if (!found) return;
+      await writeFields([{
+        rowNumber: found.rowNumber,
+        fields: { lockedUntil: "", lastError: error, failedAt: new Date().toISOString() }
+      }]);
+    },
+    
+    async listJobs() {
+      return (await readJobs()).filter(({ job }) => !job.failedAt).map(({ job }) => publicJob(job));
+    },
+    
+    async listDeadLetters() {
+      return (await readJobs()).filter(({ job }) => job.failedAt).map(({ job }) => ({ ...publicJob(job), failedAt: job.failedAt }));
+    }
+  };
+}
@@ -0,0 +1,79 @@
+// --- Background job queue ---
+// Slack wants an answer within 3 seconds, so incoming work is queued and run after
+// the HTTP response. Every queue implements the same interface:
+//   enqueue(type, payload, { leaseMs }) -> the new job; with leaseMs it starts out claimed by the caller
+//   claim({ limit, leaseMs, now })     -> due jobs, locked for leaseMs and with attempts counted
+//   complete(jobId)                    -> remove a finished job
+//   retry(jobId, error, runAt)         -> run the job again at runAt
+//   deadLetter(jobId, error)           -> give up on a job, keeping it for inspection
+//   listJobs() / listDeadLetters()
+//
+// QUEUE_BACKEND picks one: "sheets" (the Jobs tab of SPREADSHEET_ID) or "json" (a local
+// file at QUEUE_FILE, default data/queue.json, for offline development). It follows
+// STORAGE_BACKEND when unset.
+//
+// claim() is a read followed by a write, so two callers claiming at once could both get
+// a job. Only one thing ever claims: the worker endpoint, whose runs are further apart
+// than a function may run. An invocation that queues a job holds it from the start and
+// runs just that one (runClaimedJob); the worker only sees it if the lease runs out.
+
+import { createGoogleSheetsQueue } from "./google-sheets.js";
+import { createJsonFileQueue } from "./json-file.js";
+import { log } from "../log.js";
+
+export { createGoogleSheetsQueue, createJsonFileQueue };
+
+export const MAX_JOB_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+export function createQueue(env = process.env) {
+  const backend = (env.QUEUE_BACKEND || env.STORAGE_BACKEND || "sheets").toLowerCase();
+  
+  if (backend === "json") {
+    return createJsonFileQueue({ file: env.QUEUE_FILE || "data/queue.json" });
+  }
+  if (backend === "sheets") {
+    return createGoogleSheetsQueue({ spreadsheetId: env.SPREADSHEET_ID });
+  }
+  
+  throw new Error(`Unknown QUEUE_BACKEND: ${backend}`);
+}
+
+// Delay before the next attempt: 30s, 1m, 2m, 4m, ...
+export function retryDelay(attempts) {
+  return RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+}
+
+// Run a job the caller has claimed. `run(job)` does the work; a job that throws is
+// retried with backoff and dead-lettered after MAX_JOB_ATTEMPTS, when
+// `onDeadLetter(job, error)` is called. Returns "completed", "retried" or "deadLettered".
+export async function runClaimedJob(queue, job, run, { onDeadLetter = async () => {}, now = () => new Date() } = {}) {
+  try {
+    await run(job);
+    await queue.complete(job.id);
+    return "completed";
+  } catch (error) {
+    if (job.attempts >= MAX_JOB_ATTEMPTS) {
+      log.error("Job failed for good", { jobId: job.id, type: job.type, attempts: job.attempts, error: error.message });
+      await queue.deadLetter(job.id, error.message);
+      await onDeadLetter(job, error);
+      return "deadLettered";
+    }
+    log.error("Job failed, will retry", { jobId: job.id, type: job.type, attempts: job.attempts, error: error.message });
+    await queue.retry(job.id, error.message, new Date(now().getTime() + retryDelay(job.attempts)));
+    return "retried";
+  }
+}
+
+// Claim and run every job that is due, see runClaimedJob. Returns counts of what happened.
+export async function drainQueue(queue, run, { onDeadLetter, now = () => new Date(), leaseMs } = {}) {
+  const result = { completed: 0, retried: 0, deadLettered: 0 };
+  
+  for (let jobs = await queue.claim({ now: now(), leaseMs }); jobs.length > 0; jobs = await queue.claim({ now: now(), leaseMs })) {
+    for (const job of jobs) {
+      result[await runClaimedJob(queue, job, run, { onDeadLetter, now })]++;
+    }
+  }
+  
+  return result;
+}
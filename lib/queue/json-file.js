@@ -0,0 +1,166 @@
+// --- JSON file job queue ---
+// Keeps queued and dead-lettered jobs in one local file:
+//   { "jobs": [{ id, type, payload, attempts, runAt, lockedUntil, lastError }],
+//     "deadLetters": [{ ...job, failedAt }] }
+// Pass `file: null` for a purely in-memory queue. Changes are made one at a time, under
+// a lock file that other processes using the same queue file respect.
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+import { writeJsonFile } from "../files.js";
+
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5 * 1000;
+// A lock older than this was left behind by a process that died holding it
+const LOCK_STALE_MS = 30 * 1000;
+
+// Take `${file}.lock`; resolves to a function that releases it
+async function acquireFileLock(file) {
+  const lockFile = `${file}.lock`;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  
+  const started = Date.now();
+  while (true) {
+    try {
+      const handle = await fs.open(lockFile, "wx");
+      await handle.close();
+      return () => fs.rm(lockFile, { force: true });
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+    
+    const stat = await fs.stat(lockFile).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+      await fs.rm(lockFile, { force: true });
+      continue;
+    }
+    if (Date.now() - started > LOCK_TIMEOUT_MS) {
+      throw new Error(`Timed out waiting for the queue lock ${lockFile}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+export function createJsonFileQueue({ file = null } = {}) {
+  let memory = { jobs: [], deadLetters: [] };
+  let pending = Promise.resolve();
+  
+  async function load() {
+    if (!file) return memory;
+    try {
+      const data = JSON.parse(await fs.readFile(file, "utf8"));
+      return { jobs: data.jobs || [], deadLetters: data.deadLetters || [] };
+    } catch (error) {
+      if (error.code === "ENOENT") return { jobs: [], deadLetters: [] };
+      throw error;
+    }
+  }
+  
+  async function save(data) {
+    if (!file) {
+      memory = data;
+      return;
+    }
+    await writeJsonFile(file, data);
+  }
+  
+  // Run load -> change -> save without another change slipping in between, from this
+  // process or another one
+  function locked(change) {
+    const result = pending.then(async () => {
+      if (!file) return change();
+      const release = await acquireFileLock(file);
+      try {
+        return await change();
+      } finally {
+        await release();
+      }
+    });
+    pending = result.catch(() => {});
+    return result;
+  }
+  
+  return {
+    name: "json",
+    
+    enqueue(type, payload, { leaseMs = null } = {}) {
+      return locked(async () => {
+        const data = await load();
+        const now = new Date();
+        const job = {
+          id: `job_${crypto.randomUUID()}`,
+          type,
+          payload,
+          attempts: leaseMs ? 1 : 0,
+          runAt: now.toISOString(),
+          lockedUntil: leaseMs ? new Date(now.getTime() + leaseMs).toISOString() : null,
+          lastError: null
+        };
+        data.jobs.push(job);
+        await save(data);
+        return { ...job };
+      });
+    },
+    
+    claim({ limit = 10, leaseMs = 60 * 1000, now = new Date() } = {}) {
+      return locked(async () => {
+        const data = await load();
+        const due = data.jobs
+          .filter(job => new Date(job.runAt) <= now && (!job.lockedUntil || new Date(job.lockedUntil) <= now))
+          .slice(0, limit);
+        if (due.length === 0) return [];
+        
+        const lockedUntil = new Date(now.getTime() + leaseMs).toISOString();
+        for (const job of due) {
+          job.lockedUntil = lockedUntil;
+          job.attempts += 1;
+        }
+        await save(data);
+        return due.map(job => ({ ...job }));
+      });
+    },
+    
+    complete(jobId) {
+      return locked(async () => {
+        const data = await load();
+        data.jobs = data.jobs.filter(job => job.id !== jobId);
+        await save(data);
+      });
+    },
+    
+    retry(jobId, error, runAt) {
+      return locked(async () => {
+        const data = await load();
+        const job = data.jobs.find(j => j.id === jobId);
+        if (!job) return;
+        
+        job.runAt = runAt.toISOString();
+        job.lockedUntil = null;
+        job.lastError = error;
+        await save(data);
+      });
+    },
+    
+    deadLetter(jobId, error) {
+      return locked(async () => {
+        const data = await load();
+        const job = data.jobs.find(j => j.id === jobId);
+        if (!job) return;
+        
+        data.jobs = data.jobs.filter(j => j.id !== jobId);
+        data.deadLetters.push({ ...job, lockedUntil: null, lastError: error, failedAt: new Date().toISOString() });
+        await save(data);
+      });
+    },
+    
+    async listJobs() {
+      return (await load()).jobs.map(job => ({ ...job }));
+    },
+    
+    async listDeadLetters() {
+      return (await load()).deadLetters.map(job => ({ ...job }));
+    }
+  };
+}
@@ -0,0 +1,143 @@
+// --- Leave rules ---
+// Declarative rules from the Leave_Rules tab, one rule per row:
+//   A team ("*" for everyone), B rule, C value, D applies_to, E severity (block|warn, default block), F note
+//
+//   min_notice       C = days of notice, D = only for requests of at least this many business days
+//                    (blank = any length). The row with the largest D that fits the request applies.
+//   blackout         C = first date, D = last date (YYYY-MM-DD); F names the period
+//   max_consecutive  C = most business days off in a row, counting the employee's own adjacent requests
+//   no_overlap       no value; dates already covered by the employee's pending or approved requests
+//
+// A "block" stops the request from being submitted; a "warn" is shown to the employee
+// and the approver. Everyone gets a no_overlap block unless a row says otherwise.
+
+import { isValidISODate } from "./date-parser.js";
+import { addDays, daysBetween, isWeekend } from "./dates.js";
+
+export const RULE_TYPES = ["min_notice", "blackout", "max_consecutive", "no_overlap"];
+
+const DEFAULT_RULES = [{ team: "*", rule: "no_overlap", severity: "block", note: "" }];
+
+// --- Parsing ---
+
+// Turn Leave_Rules rows into rule objects, skipping rows that don't make sense
+export function parseRuleRows(rows) {
+  const rules = [];
+  for (const row of rows) {
+    const team = (row[0] || "").trim();
+    const rule = (row[1] || "").trim().toLowerCase();
+    if (!team || !RULE_TYPES.includes(rule)) continue;
+    
+    const value = (row[2] || "").trim();
+    const appliesTo = (row[3] || "").trim();
+    const entry = {
+      team,
+      rule,
+      severity: (row[4] || "").trim().toLowerCase() === "warn" ? "warn" : "block",
+      note: (row[5] || "").trim()
+    };
+    
+    if (rule === "min_notice") {
+      const notice = parseInt(value);
+      if (!(notice > 0)) continue;
+      entry.notice = notice;
+      entry.minDays = parseFloat(appliesTo) || 0;
+    } else if (rule === "blackout") {
+      if (!isValidISODate(value) || !isValidISODate(appliesTo) || appliesTo < value) continue;
+      entry.start = value;
+      entry.end = appliesTo;
+    } else if (rule === "max_consecutive") {
+      const max = parseInt(value);
+      if (!(max > 0)) continue;
+      entry.max = max;
+    }
+    rules.push(entry);
+  }
+  return rules;
+}
+
+// The rules that apply to a team: everyone's ("*") plus the team's own
+export function rulesForTeam(rules, team) {
+  const applicable = rules.filter(r => r.team === "*" || (team && r.team === team));
+  if (!applicable.some(r => r.rule === "no_overlap")) applicable.push(...DEFAULT_RULES);
+  return applicable;
+}
+
+// --- Evaluation ---
+
+// Business days off in a row around the request: its own days plus any of `ownRequests`
+// joined to it by weekends and holidays only
+function consecutiveBusinessDays(request, ownRequests, holidays) {
+  const covered = (date) =>
+    (date >= request.start && date <= request.end) ||
+    ownRequests.some(r => date >= r.start && date <= r.end);
+  const isBusinessDay = (date) => !isWeekend(date) && !holidays.has(date);
+  
+  let first = request.start;
+  while (covered(addDays(first, -1)) || !isBusinessDay(addDays(first, -1))) {
+    if (daysBetween(addDays(first, -1), request.start) > 366) break;
+    first = addDays(first, -1);
+  }
+  let last = request.end;
+  while (covered(addDays(last, 1)) || !isBusinessDay(addDays(last, 1))) {
+    if (daysBetween(request.end, addDays(last, 1)) > 366) break;
+    last = addDays(last, 1);
+  }
+  
+  let count = 0;
+  for (let date = first; date <= last; date = addDays(date, 1)) {
+    if (isBusinessDay(date) && covered(date)) count++;
+  }
+  return count;
+}
+
+function withNote(message, rule) {
+  return rule.note ? `${message} (${rule.note})` : message;
+}
+
+// Check a request ({ start, end, businessDays }) against rules. `ownRequests` are the
+// employee's other pending or approved requests and `holidays` their public holidays
+// (a Map or Set keyed by date). Unplanned leave such as sick days is only checked for
+// overlaps. Returns [{ rule, severity, message }], empty when everything is fine.
+export function evaluateRules(request, rules, { today, ownRequests = [], holidays = new Map(), planned = true }) {
+  const violations = [];
+  const add = (rule, message) => violations.push({ rule: rule.rule, severity: rule.severity, message: withNote(message, rule) });
+  
+  for (const rule of rules.filter(r => r.rule === "no_overlap")) {
+    for (const other of ownRequests.filter(r => r.start <= request.end && r.end >= request.start)) {
+      add(rule, `You already have ${other.status} time off from ${other.start} to ${other.end}.`);
+    }
+  }
+  if (!planned) return violations;
+  
+  // Longer requests can need more notice; the most specific tier wins
+  const notice = rules
+    .filter(r => r.rule === "min_notice" && request.businessDays >= r.minDays)
+    .sort((a, b) => b.minDays - a.minDays || b.notice - a.notice)[0];
+  const given = daysBetween(today, request.start);
+  if (notice && given < notice.notice) {
+    const forLength = notice.minDays > 0 ? ` for ${notice.minDays} or more days off` : "";
+    add(notice, `Requests need ${notice.notice} days' notice${forLength}; this one starts in ${given} day${given === 1 ? "" : "s"}.`);
+  }
+  
+  for (const rule of rules.filter(r => r.rule === "blackout")) {
+    if (rule.start <= request.end && rule.end >= request.start) {
+      add(rule, `${rule.start} to ${rule.end} is a blackout period.`);
+    }
+  }
+  
+  const limits = rules.filter(r => r.rule === "max_consecutive");
+  if (limits.length > 0) {
+    const inARow = consecutiveBusinessDays(request, ownRequests, holidays);
+    for (const rule of limits.filter(r => inARow > r.max)) {
+      add(rule, `That's ${inARow} business days off in a row; the limit is ${rule.max}.`);
+    }
+  }
+  
+  return violations;
+}
+
+// Whether any violation stops the request
+export function hasBlockingViolation(violations = []) {
+  return violations.some(v => v.severity === "block");
+}
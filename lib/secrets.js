@@ -0,0 +1,15 @@
+// --- Secret comparison ---
+
+import crypto from "crypto";
+
+// Compare a secret we expect with one a request sent, in constant time
+export function safeEqual(expected, received) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Whether a request's Authorization header is "Bearer <token>"; false when no token is set
+export function hasBearerToken(req, token) {
+  return Boolean(token) && safeEqual(`Bearer ${token}`, req.headers.authorization);
+}
@@ -0,0 +1,59 @@
+// --- Stale approvals ---
+// What happens to a pending request nobody has decided on (see processStaleRequests).
+// Its approver gets a reminder after REMINDER_AFTER_DAYS business days and it goes to
+// the backup approver (or HR) after ESCALATE_AFTER_DAYS. A policy can also have requests
+// that waited staleAfterDays approved or expired automatically. The employee hears about each step.
+
+import { addDays, toISODate, calculateBusinessDays } from "./dates.js";
+
+export const REMINDER_AFTER_DAYS = parseInt(process.env.REMINDER_AFTER_DAYS) || 2;
+export const ESCALATE_AFTER_DAYS = parseInt(process.env.ESCALATE_AFTER_DAYS) || 5;
+
+// Business days a request has been waiting at its current step, not counting the day the step started
+export function businessDaysWaiting(request, now) {
+  const submitted = (request.stepStartedAt || request.timestamp || "").split("T")[0];
+  if (!submitted) return 0;
+  return calculateBusinessDays(addDays(submitted, 1), toISODate(now));
+}
+
+// The next follow-up for a request that has waited `waited` business days under a leave
+// policy: "approve", "expire", "escalate", "remind" or null. Each step happens once.
+export function nextFollowUp(request, waited, policy) {
+  if (policy.staleAction !== "none" && waited >= policy.staleAfterDays) {
+    return policy.staleAction === "approve" ? "approve" : "expire";
+  }
+  if (waited >= ESCALATE_AFTER_DAYS && !request.escalatedAt) return "escalate";
+  if (waited >= REMINDER_AFTER_DAYS && !request.remindedAt) return "remind";
+  return null;
+}
+
+// The approver's reminder and the note to the employee
+export function reminderMessages(request, waited) {
+  return {
+    approver: `⏰ Reminder: ${request.userName}'s request for ${request.start} to ${request.end} ` +
+              `has been waiting ${waited} business days. The Approve and Deny buttons are on my earlier message.`,
+    employee: `⏰ Your request for ${request.start} to ${request.end} is still waiting for <@${request.managerId}>. I've sent them a reminder.`
+  };
+}
+
+// What the new approver, the one who didn't answer and the employee hear about an escalation
+export function escalationMessages(request, waited, escalateTo) {
+  return {
+    context: `⏫ Escalated to you: <@${request.managerId}> hasn't answered in ${waited} business days.`,
+    approver: `⏫ ${request.userName}'s request for ${request.start} to ${request.end} has been waiting ${waited} business days, ` +
+              `so I've also asked <@${escalateTo}>. Either of you can decide.`,
+    employee: `⏫ Your request for ${request.start} to ${request.end} hadn't been answered, so I've passed it to <@${escalateTo}> as well.`
+  };
+}
+
+// What the approver and the employee hear when a request is approved or expires by itself
+export function resolutionMessages(request, approved, waited) {
+  return {
+    approver: approved
+      ? `✅ ${request.userName}'s request for ${request.start} to ${request.end} was approved automatically after waiting ${waited} business days.`
+      : `⌛ ${request.userName}'s request for ${request.start} to ${request.end} expired after waiting ${waited} business days without a decision.`,
+    employee: approved
+      ? `✅ Your request for ${request.start} to ${request.end} has been approved automatically, as nobody answered within ${waited} business days. Enjoy your time off! 🎉`
+      : `⌛ Your request for ${request.start} to ${request.end} expired without a decision. Please send a new request or talk to <@${request.managerId}>.`
+  };
+}
@@ -0,0 +1,240 @@
+// --- Google Sheets storage ---
+// PTO_Requests holds one row per request; the other tabs (Teams, Holidays, ...) are
+// configuration maintained by hand. Ranges are open-ended so there is no row cap.
+//
+// The bot also keeps two tabs of its own, both only ever appended to so concurrent
+// writers never touch the same row; the newest row for a key wins:
+//   Sessions     short-lived state: A key, B value (JSON, empty once deleted), C expires_at, D written_at.
+//                pruneSessions clears expired and replaced rows.
+//   Delegations  A approver_id, B delegate_id (empty once cleared), C start, D end, E set_at
+
+import { google, getGoogleAuth } from "../google.js";
+import { log } from "../log.js";
+import { parseDays } from "../dates.js";
+import { withRequestId } from "./legacy.js";
+
+const sheets = google.sheets("v4");
+
+// PTO_Requests columns, in sheet order (A, B, C, ...)
+export const REQUEST_COLUMNS = [
+  "timestamp",        // A
+  "userId",           // B
+  "userName",         // C
+  "start",            // D
+  "end",              // E
+  "businessDays",     // F vacation_length
+  "reason",           // G
+  "status",           // H
+  "managerId",        // I
+  "managerName",      // J
+  "leaveType",        // K
+  "approvalChannel",  // L
+  "approvalTs",       // M
+  "requestId",        // N
+  "approverId",       // O
+  "decidedAt",        // P
+  "employeeEventId",  // Q
+  "teamEventId",      // R
+  "remindedAt",       // S
+  "escalatedAt",      // T
+  "escalatedTo",      // U
+  "approvalChain",    // V steps, e.g. "manager,department_head"
+  "approvals",        // W steps already approved, e.g. "manager:U123"
+  "stepStartedAt",    // X when the current step started waiting
+  "delegatedFrom",    // Y the approver managerId is covering for
+  "statusSetAt",      // Z when the employee's Slack status was set for this leave
+  "portion",          // AA full, am or pm (single-day requests)
+  "hours"             // AB hours off for an hourly request
+];
+
+const LAST_COLUMN = columnLetter(REQUEST_COLUMNS.length - 1);
+
+// Column letter for a zero-based index (0 -> A)
+function columnLetter(index) {
+  let letter = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+// Map a PTO_Requests row to a request object
+function rowToRequest(row) {
+  const request = {};
+  REQUEST_COLUMNS.forEach((field, i) => {
+    request[field] = row[i] === undefined || row[i] === "" ? null : row[i];
+  });
+  request.businessDays = parseDays(row[5]);
+  request.hours = request.hours === null ? null : parseDays(request.hours) || null;
+  request.reason = request.reason || "";
+  request.managerName = request.managerName || "";
+  return withRequestId(request);
+}
+
+// The newest row for each key (column A), going by the ISO timestamp in `timeColumn`.
+// Later rows win ties; rows written before that column existed count as oldest.
+function latestRows(rows, timeColumn) {
+  const latest = new Map();
+  for (const row of rows) {
+    if (!row[0]) continue;
+    const current = latest.get(row[0]);
+    if (!current || (row[timeColumn] || "") >= (current[timeColumn] || "")) latest.set(row[0], row);
+  }
+  return latest;
+}
+
+export function createGoogleSheetsStore({ spreadsheetId }) {
+  // Read every request row; row numbers are 1-based and include the header
+  async function readRequestRows() {
+    const client = await getGoogleAuth().getClient();
+    const result = await sheets.spreadsheets.values.get({
+      auth: client,
+      spreadsheetId,
+      range: `PTO_Requests!A2:${LAST_COLUMN}`
+    });
+    return result.data.values || [];
+  }
+  
+  async function readRows(range) {
+    const client = await getGoogleAuth().getClient();
+    const result = await sheets.spreadsheets.values.get({ auth: client, spreadsheetId, range });
+    return result.data.values || [];
+  }
+  
+  // Add a row after the last one in use. RAW keeps timestamps and IDs as written.
+  async function appendRow(tab, lastColumn, values) {
+    const client = await getGoogleAuth().getClient();
+    await sheets.spreadsheets.values.append({
+      auth: client,
+      spreadsheetId,
+      range: `${tab}!A2:${lastColumn}2`,
+      valueInputOption: "RAW",
+      requestBody: { values: [values] }
+    });
+  }
+  
+  return {
+    name: "sheets",
+    
+    async listRequests() {
+      return (await readRequestRows()).map(rowToRequest);
+    },
+    
+    async getRequest(requestId) {
+      if (!requestId) return null;
+      return (await readRequestRows()).map(rowToRequest).find(r => r.requestId === requestId) || null;
+    },
+    
+    async insertRequest(request) {
+      const client = await getGoogleAuth().getClient();
+      const values = [REQUEST_COLUMNS.map(field => request[field] ?? "")];
+      
+      await sheets.spreadsheets.values.append({
+        auth: client,
+        spreadsheetId,
+        range: `PTO_Requests!A2:${LAST_COLUMN}2`,
+        valueInputOption: "USER_ENTERED",
+        requestBody: { values }
+      });
+    },
+    
+    async updateRequest(requestId, fields) {
+      const client = await getGoogleAuth().getClient();
+      const rows = await readRequestRows();
+      const rowIndex = rows.findIndex(r => rowToRequest(r).requestId === requestId);
+      if (rowIndex === -1) return null;
+      
+      const rowNumber = rowIndex + 2;
+      // The request ID goes in too, in case the row is from before request IDs
+      const data = Object.entries({ ...fields, requestId }).map(([field, value]) => {
+        const column = REQUEST_COLUMNS.indexOf(field);
+        if (column === -1) {
+          throw new Error(`Unknown request field: ${field}`);
+        }
+        return {
+          range: `PTO_Requests!${columnLetter(column)}${rowNumber}`,
+          values: [[value ?? ""]]
+        };
+      });
+      
+      // RAW keeps Slack timestamps and IDs from being reformatted as numbers
+      await sheets.spreadsheets.values.batchUpdate({
+        auth: client,
+        spreadsheetId,
+        requestBody: { valueInputOption: "RAW", data }
+      });
+      
+      return rowToRequest(rows[rowIndex]);
+    },
+    
+    async readConfig(tab) {
+      const client = await getGoogleAuth().getClient();
+      const result = await sheets.spreadsheets.values.get({
+        auth: client,
+        spreadsheetId,
+        range: `${tab}!A2:Z`
+      });
+      
+      const rows = result.data.values || [];
+      log.debug("Sheet tab read", { tab, rows: rows.length });
+      return rows;
+    },
+    
+    async getSession(key) {
+      const row = latestRows(await readRows("Sessions!A2:D"), 3).get(key);
+      if (!row || !row[1] || !row[2] || new Date(row[2]) <= new Date()) return null;
+      try {
+        return JSON.parse(row[1]);
+      } catch (error) {
+        log.error("Unreadable session", { key, error: error.message });
+        return null;
+      }
+    },
+    
+    async putSession(key, value, ttlMs) {
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + ttlMs).toISOString();
+      await appendRow("Sessions", "D", [key, JSON.stringify(value), expiresAt, now.toISOString()]);
+    },
+    
+    async deleteSession(key) {
+      const now = new Date().toISOString();
+      await appendRow("Sessions", "D", [key, "", now, now]);
+    },
+    
+    // Clearing rows is safe against the appends above, which only ever fill empty rows,
+    // but not against a second prune running at the same time
+    async pruneSessions() {
+      const rows = await readRows("Sessions!A2:D");
+      const latest = latestRows(rows, 3);
+      const now = new Date();
+      const stale = [];
+      rows.forEach((row, index) => {
+        if (!row.some(Boolean)) return;
+        if (latest.get(row[0]) !== row || !row[1] || !row[2] || new Date(row[2]) <= now) {
+          stale.push(`Sessions!A${index + 2}:D${index + 2}`);
+        }
+      });
+      if (stale.length === 0) return 0;
+      
+      const client = await getGoogleAuth().getClient();
+      await sheets.spreadsheets.values.batchClear({ auth: client, spreadsheetId, requestBody: { ranges: stale } });
+      return stale.length;
+    },
+    
+    async getDelegation(userId) {
+      const row = latestRows(await readRows("Delegations!A2:E"), 4).get(userId);
+      return row?.[1] ? { delegateId: row[1], start: row[2], end: row[3] } : null;
+    },
+    
+    async setDelegation(userId, delegation) {
+      await appendRow("Delegations", "E", [
+        userId,
+        delegation?.delegateId || "",
+        delegation?.start || "",
+        delegation?.end || "",
+        new Date().toISOString()
+      ]);
+    }
+  };
+}
@@ -0,0 +1,34 @@
+// --- Storage backends ---
+// Every backend implements the same interface:
+//   listRequests()                  -> all requests (older rows without an ID get one, see legacy.js)
+//   getRequest(requestId)           -> request or null
+//   insertRequest(request)          -> append a new request
+//   updateRequest(requestId, fields)-> apply fields; returns the request as it was before, or null
+//   readConfig(tab)                 -> rows of a configuration tab (Teams, Holidays, Policies, ...)
+//   getSession(key)                 -> short-lived state saved with putSession, or null once expired
+//   putSession(key, value, ttlMs)   -> save JSON-serializable state for ttlMs
+//   deleteSession(key)              -> forget it
+//   pruneSessions()                 -> clear out expired sessions; returns how many went
+//   getDelegation(approverId)       -> { delegateId, start, end } or null
+//   setDelegation(approverId, d)    -> save a delegation, or clear it with null
+//
+// STORAGE_BACKEND picks one: "sheets" (default, needs GCP_JSON and SPREADSHEET_ID)
+// or "json" (a local file at STORAGE_FILE, for offline development).
+
+import { createGoogleSheetsStore } from "./google-sheets.js";
+import { createJsonFileStore } from "./json-file.js";
+
+export { createGoogleSheetsStore, createJsonFileStore };
+
+export function createStore(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || "sheets").toLowerCase();
+  
+  if (backend === "json") {
+    return createJsonFileStore({ file: env.STORAGE_FILE || "data/pto-buddy.json" });
+  }
+  if (backend === "sheets") {
+    return createGoogleSheetsStore({ spreadsheetId: env.SPREADSHEET_ID });
+  }
+  
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+}
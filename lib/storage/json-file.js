@@ -0,0 +1,123 @@
+// --- JSON file storage ---
+// Keeps everything in one local file for offline development:
+//   { "requests": [{ ...request }], "config": { "Teams": [["U123", "U456", "Design", "", "IT"]], ... },
+//     "sessions": { "<key>": { "value": { ... }, "expiresAt": "<ISO timestamp>" } },
+//     "delegations": { "<approver id>": { "delegateId": "U789", "start": "2030-01-07", "end": "2030-01-11" } } }
+// Config tabs use the same row layout as the spreadsheet tabs (without the header row).
+// Pass `file: null` for a purely in-memory store.
+
+import fs from "fs/promises";
+
+import { writeJsonFile } from "../files.js";
+import { withRequestId } from "./legacy.js";
+
+export function createJsonFileStore({ file = null, data: initialData = null } = {}) {
+  let memory = { requests: [], config: {}, sessions: {}, delegations: {}, ...initialData };
+  
+  async function load() {
+    if (!file) return memory;
+    try {
+      const data = JSON.parse(await fs.readFile(file, "utf8"));
+      return { requests: data.requests || [], config: data.config || {}, sessions: data.sessions || {}, delegations: data.delegations || {} };
+    } catch (error) {
+      if (error.code === "ENOENT") return { requests: [], config: {}, sessions: {}, delegations: {} };
+      throw error;
+    }
+  }
+  
+  async function save(data) {
+    if (!file) {
+      memory = data;
+      return;
+    }
+    await writeJsonFile(file, data);
+  }
+  
+  return {
+    name: "json",
+    
+    async listRequests() {
+      return (await load()).requests.map(r => ({ ...withRequestId(r) }));
+    },
+    
+    async getRequest(requestId) {
+      if (!requestId) return null;
+      const request = (await load()).requests.map(withRequestId).find(r => r.requestId === requestId);
+      return request ? { ...request } : null;
+    },
+    
+    async insertRequest(request) {
+      const data = await load();
+      data.requests.push({ ...request });
+      await save(data);
+    },
+    
+    async updateRequest(requestId, fields) {
+      const data = await load();
+      const index = data.requests.findIndex(r => withRequestId(r).requestId === requestId);
+      if (index === -1) return null;
+      
+      const previous = withRequestId(data.requests[index]);
+      data.requests[index] = { ...previous, ...fields };
+      await save(data);
+      return { ...previous };
+    },
+    
+    async readConfig(tab) {
+      return (await load()).config[tab] || [];
+    },
+    
+    async getSession(key) {
+      const session = (await load()).sessions[key];
+      if (!session || new Date(session.expiresAt) <= new Date()) return null;
+      return structuredClone(session.value);
+    },
+    
+    async putSession(key, value, ttlMs) {
+      const data = await load();
+      const now = Date.now();
+      // Drop expired sessions while we're writing anyway
+      for (const [k, session] of Object.entries(data.sessions)) {
+        if (new Date(session.expiresAt).getTime() <= now) delete data.sessions[k];
+      }
+      data.sessions[key] = { value: structuredClone(value), expiresAt: new Date(now + ttlMs).toISOString() };
+      await save(data);
+    },
+    
+    async deleteSession(key) {
+      const data = await load();
+      if (!data.sessions[key]) return;
+      delete data.sessions[key];
+      await save(data);
+    },
+    
+    async pruneSessions() {
+      const data = await load();
+      const now = Date.now();
+      let pruned = 0;
+      for (const [key, session] of Object.entries(data.sessions)) {
+        if (new Date(session.expiresAt).getTime() <= now) {
+          delete data.sessions[key];
+          pruned++;
+        }
+      }
+      if (pruned > 0) await save(data);
+      return pruned;
+    },
+    
+    async getDelegation(userId) {
+      const delegation = (await load()).delegations[userId];
+      return delegation ? { ...delegation } : null;
+    },
+    
+    async setDelegation(userId, delegation) {
+      const data = await load();
+      if (delegation) {
+        data.delegations[userId] = { delegateId: delegation.delegateId, start: delegation.start, end: delegation.end };
+      } else {
+        delete data.delegations[userId];
+      }
+      await save(data);
+    }
+  };
+}
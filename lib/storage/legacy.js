@@ -0,0 +1,18 @@
+// --- Requests logged before request IDs ---
+// Rows from before every request had an ID get one derived from what never changes
+// on them (timestamp, user and dates). Backends fill it in on read and write it into
+// the row the first time the request is updated.
+
+import crypto from "crypto";
+
+export function legacyRequestId(request) {
+  const hash = crypto.createHash("sha256")
+    .update(JSON.stringify([request.timestamp, request.userId, request.start, request.end]))
+    .digest("hex");
+  return `pto_legacy_${hash.slice(0, 16)}`;
+}
+
+// The request with its ID, derived if it has none
+export function withRequestId(request) {
+  return request.requestId ? request : { ...request, requestId: legacyRequestId(request) };
+}
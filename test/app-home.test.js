@@ -0,0 +1,166 @@
+import "./helpers/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  configure,
+  handleAppHomeOpened,
+  handleApprovePTO,
+  handleOpenRequestModal,
+  handleRequestFormChange,
+  handleRequestSubmission,
+  runQueuedJob
+} from "../api/index.js";
+import {
+  createFakeSlackClient,
+  createMemoryStore,
+  createMemoryQueue,
+  createFakeParser,
+  nextWorkWeek,
+  blockActionPayload,
+  findButtonValue
+} from "./helpers/fakes.js";
+
+const week = nextWorkWeek();
+const laterWeek = nextWorkWeek({ weeksLater: 1 });
+const noop = async () => {};
+
+let slack;
+let store;
+
+beforeEach(() => {
+  slack = createFakeSlackClient({ users: { UEMP: { name: "Erin Employee" }, UMGR: { name: "Max Manager" } } });
+  store = createMemoryStore({
+    requests: [
+      { requestId: "pto_pending", timestamp: new Date().toISOString(), userId: "UEMP", userName: "Erin Employee", start: week.start, end: week.end, businessDays: 5, status: "pending", managerId: "UMGR", leaveType: "vacation", reason: "Trip", approvalChannel: "DMGR", approvalTs: "1700000000.000009" }
+    ],
+    config: { Teams: [["UEMP", "UMGR", "Design"], ["UMGR", "UBOSS", "Design"]] }
+  });
+  configure({
+    store,
+    queue: createMemoryQueue(),
+    slackClient: slack,
+    parser: createFakeParser({ "next week off": { start: week.start, end: week.end, reason: "Holiday" } })
+  });
+});
+
+async function openHome(userId) {
+  await handleAppHomeOpened({ event: { type: "app_home_opened", user: userId, tab: "home" }, client: slack });
+  const publish = slack.callsTo("views.publish").at(-1);
+  return { publish, text: publish.view.blocks.map(b => b.text?.text || "").join("\n") };
+}
+
+test("employees see their balance, pending requests and the request button", async () => {
+  const { publish, text } = await openHome("UEMP");
+  
+  assert.equal(publish.user_id, "UEMP");
+  assert.match(text, /Vacation:\* 25 days remaining, 5 pending approval/);
+  assert.match(text, /Pending requests\*\n⏳ 🌴 .* – Trip/);
+  assert.doesNotMatch(text, /Waiting for your approval/);
+  assert.ok(publish.view.blocks.some(b => b.elements?.some(e => e.action_id === "open_request_modal")));
+});
+
+test("managers also see their approval queue and team calendar", async () => {
+  const { publish, text } = await openHome("UMGR");
+  
+  assert.match(text, /Waiting for your approval/);
+  assert.equal(findButtonValue(publish.view, "approve_pto"), "pto_pending");
+  assert.match(text, /Team out of office, next 30 days\*\n• .* <@UEMP>  🌴 Vacation _\(pending\)_/);
+});
+
+test("approving from the Home tab updates the approval DM and refreshes Home", async () => {
+  await handleApprovePTO({
+    ack: noop,
+    body: { type: "block_actions", user: { id: "UMGR" }, view: { type: "home" }, actions: [{ action_id: "approve_pto", value: "pto_pending" }] },
+    client: slack
+  });
+  
+  assert.equal((await store.getRequest("pto_pending")).status, "approved");
+  const [update] = slack.callsTo("chat.update");
+  assert.equal(update.ts, "1700000000.000009");
+  assert.match(slack.callsTo("views.publish").at(-1).view.blocks.map(b => b.text?.text || "").join("\n"), /You're all caught up/);
+});
+
+// Form state as Slack sends it for the request modal
+function formValues({ start = null, end = null, leaveType = "vacation", portion = "full", reason = "" }) {
+  return {
+    start: { value: { type: "datepicker", selected_date: start } },
+    end: { value: { type: "datepicker", selected_date: end } },
+    leave_type: { value: { type: "static_select", selected_option: { value: leaveType } } },
+    portion: { value: { type: "static_select", selected_option: { value: portion } } },
+    reason: { value: { type: "plain_text_input", value: reason } }
+  };
+}
+
+async function submitForm(fields) {
+  let response;
+  const job = await handleRequestSubmission({
+    ack: async (r) => { response = r; },
+    body: { user: { id: "UEMP" } },
+    view: { callback_id: "request_time_off", state: { values: formValues(fields) } },
+    client: slack
+  });
+  if (job) await runQueuedJob(job);
+  return response;
+}
+
+test("the request modal shows the day count and balance as the dates change", async () => {
+  await handleOpenRequestModal({
+    ack: noop,
+    body: { ...blockActionPayload({ userId: "UEMP", actionId: "open_request_modal" }), trigger_id: "trigger" },
+    client: slack
+  });
+  const [open] = slack.callsTo("views.open");
+  assert.equal(open.view.callback_id, "request_time_off");
+  assert.ok(open.view.blocks.some(b => b.element?.type === "datepicker"));
+  
+  await handleRequestFormChange({
+    ack: noop,
+    body: { user: { id: "UEMP" }, view: { id: "V1", hash: "h1", state: { values: formValues({ start: laterWeek.start, end: laterWeek.end }) } } },
+    client: slack
+  });
+  const [update] = slack.callsTo("views.update");
+  assert.equal(update.view_id, "V1");
+  assert.equal(update.hash, "h1");
+  const summary = update.view.blocks.find(b => b.block_id === "summary").elements[0].text;
+  assert.match(summary, /5 business days/);
+  assert.match(summary, /20 days of vacation left afterwards/);
+});
+
+test("the request modal rejects dates it can't submit", async () => {
+  assert.deepEqual(await submitForm({ start: laterWeek.end, end: laterWeek.start }), {
+    response_action: "errors",
+    errors: { end: "The last day can't be before the first day." }
+  });
+  assert.match((await submitForm({ start: laterWeek.start, end: laterWeek.end, portion: "am" })).errors.portion, /Half days only work/);
+  assert.match((await submitForm({ start: "2020-01-06", end: "2020-01-06" })).errors.start, /in the past/);
+  assert.equal(slack.callsTo("chat.postMessage").length, 0);
+  assert.equal((await store.listRequests()).length, 1);
+});
+
+test("problems the form can't see for itself are sent by DM once the request is checked in full", async () => {
+  // Slack gets its answer before the employee's other requests are looked up
+  assert.equal(await submitForm({ start: week.start, end: week.start }), undefined);
+  
+  const [reply] = slack.callsTo("chat.postMessage");
+  assert.equal(reply.channel, "UEMP");
+  assert.match(reply.text, /couldn't submit your request: .*already have pending time off/);
+  assert.equal((await store.listRequests()).length, 1);
+});
+
+test("a request from the modal goes straight to the manager", async () => {
+  const response = await submitForm({ start: laterWeek.start, end: laterWeek.start, portion: "pm", reason: "Dentist" });
+  assert.equal(response, undefined);
+  
+  const created = (await store.listRequests()).find(r => r.requestId !== "pto_pending");
+  assert.equal(created.status, "pending_manager");
+  assert.equal(created.managerId, "UMGR");
+  assert.equal(created.businessDays, 0.5);
+  assert.equal(created.reason, "Dentist");
+  
+  const [approval, receipt] = slack.callsTo("chat.postMessage");
+  assert.equal(approval.channel, "UMGR");
+  assert.equal(findButtonValue(approval, "approve_pto"), created.requestId);
+  assert.equal(receipt.channel, "UEMP");
+  assert.match(receipt.text, /submitted for approval/);
+});
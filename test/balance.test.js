@@ -0,0 +1,126 @@
+import "./helpers/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { configure, handleDirectMessage, handlePTOCommand } from "../api/index.js";
+import { calculateAccrued, calculateBalance } from "../lib/balance.js";
+import { addDays } from "../lib/dates.js";
+import { createFakeSlackClient, createMemoryStore, createFakeParser, nextWorkWeek } from "./helpers/fakes.js";
+
+const week = nextWorkWeek();
+const year = new Date().getUTCFullYear();
+
+const yearly = { policyId: "standard", annualAllowance: 20, accrual: "yearly", carryOverCap: 5, carryOverExpiry: "03-31" };
+const fullTime = { startDate: null, fte: 1 };
+
+test("a yearly allowance is credited on 1 January, pro-rated for joiners and part-timers", () => {
+  assert.equal(calculateAccrued(yearly, fullTime, 2030, "2030-01-01"), 20);
+  assert.equal(calculateAccrued(yearly, { startDate: null, fte: 0.5 }, 2030, "2030-06-01"), 10);
+  // Joined on 2 July: 183 of 365 days
+  assert.equal(calculateAccrued(yearly, { startDate: "2030-07-02", fte: 1 }, 2030, "2030-08-01"), 20 * (183 / 365));
+  assert.equal(calculateAccrued(yearly, { startDate: "2030-07-02", fte: 1 }, 2030, "2030-06-30"), 0);
+});
+
+test("a monthly allowance is credited a twelfth at a time", () => {
+  const monthly = { ...yearly, accrual: "monthly", annualAllowance: 24 };
+  
+  assert.equal(calculateAccrued(monthly, fullTime, 2030, "2030-03-15"), 6);
+  assert.equal(calculateAccrued(monthly, fullTime, 2030, "2031-02-01"), 24);
+  // Joined on 16 April: half of April, then every month after
+  assert.equal(calculateAccrued(monthly, { startDate: "2030-04-16", fte: 1 }, 2030, "2030-05-20"), 2 * 15 / 30 + 2);
+});
+
+test("unused days carry over up to the cap, are used first and lapse at the expiry date", () => {
+  const requests = [{ start: "2029-06-03", days: 10 }, { start: "2030-02-11", days: 2 }];
+  
+  const before = calculateBalance({ policy: yearly, employee: fullTime, requests, asOf: "2030-03-01" });
+  assert.deepEqual(
+    [before.accrued, before.carriedOver, before.carryOverExpires, before.carryOverForfeited, before.used, before.remaining],
+    [20, 5, "2030-03-31", 0, 2, 23]
+  );
+  
+  const after = calculateBalance({ policy: yearly, employee: fullTime, requests, asOf: "2030-04-01" });
+  assert.deepEqual([after.carryOverForfeited, after.remaining], [3, 20]);
+  
+  const uncapped = calculateBalance({ policy: { ...yearly, carryOverCap: 0 }, employee: fullTime, requests, asOf: "2030-03-01" });
+  assert.equal(uncapped.carriedOver, 0);
+});
+
+let said;
+
+function setup({ requests = [], config = {} } = {}) {
+  configure({
+    store: createMemoryStore({
+      requests,
+      config: {
+        Teams: [["UEMP", "UMGR", "Design", "", "IT"]],
+        Policies: [["standard", "20", "yearly", "5", "", "10"]],
+        Employees: [["UEMP", "standard", "", "1"]],
+        ...config
+      }
+    }),
+    slackClient: createFakeSlackClient({ users: { UEMP: { name: "Erin Employee" }, UMGR: { name: "Max Manager" } } }),
+    parser: createFakeParser({ "next week off": { start: week.start, end: week.end, reason: "Holiday" } })
+  });
+  said = [];
+}
+
+beforeEach(() => setup());
+
+const request = (requestId, start, end, businessDays, status, fields = {}) => ({
+  requestId, timestamp: `${start}T09:00:00.000Z`, userId: "UEMP", userName: "Erin Employee", start, end, businessDays, status, managerId: "UMGR", leaveType: "vacation", reason: "", ...fields
+});
+
+async function pto(text) {
+  let reply;
+  await handlePTOCommand({ command: { user_id: "UEMP", text }, ack: async () => {}, respond: async (m) => { reply = m; } });
+  return reply;
+}
+
+test("public holidays in the employee's region don't count as business days", async () => {
+  setup({ config: { Holidays: [["IT", week.start, "Festa"], ["UK", addDays(week.start, 1), "Bank holiday"]] } });
+  
+  await handleDirectMessage({ message: { user: "UEMP", text: "next week off", channel: "D123" }, client: null, say: async (m) => { said.push(m); } });
+  
+  const text = said.at(-1).blocks[0].text.text;
+  assert.match(text, new RegExp(`Business days:\\* 4 days \\(excluding weekends and Festa \\(${week.start}\\)\\)`));
+  assert.doesNotMatch(text, /Bank holiday/);
+});
+
+test("/pto balance shows each type's balance, where it comes from and what is pending", async () => {
+  setup({
+    requests: [
+      request("pto_1", `${year - 1}-06-03`, `${year - 1}-06-18`, 12, "approved"),
+      request("pto_2", `${year}-01-02`, `${year}-01-04`, 3, "approved"),
+      request("pto_3", week.start, addDays(week.start, 1), 2, "pending_manager"),
+      request("pto_4", `${year}-01-08`, `${year}-01-08`, 1, "approved", { leaveType: "sick" })
+    ]
+  });
+  
+  const reply = await pto("balance");
+  
+  assert.match(reply, new RegExp(`Your ${year} balance`));
+  // 20 accrued + 5 of last year's 8 left over, less 3 used; the expiry only applies when a policy sets one
+  assert.match(reply, /🌴 \*Vacation:\* 22 days remaining, 2 pending approval\n\s+_20 accrued \+ 5 carried over − 3 used_/);
+  assert.match(reply, /🤒 \*Sick leave:\* 9 days remaining/);
+  assert.match(reply, /🗓️ \*Unpaid leave:\* no balance/);
+});
+
+test("/pto history lists requests newest first with their status", async () => {
+  assert.equal(await pto("history"), "You haven't made any PTO requests yet.");
+  
+  setup({
+    requests: [
+      request("pto_1", `${year - 1}-06-03`, `${year - 1}-06-07`, 5, "approved", { reason: "Summer" }),
+      request("pto_2", week.start, week.end, 5, "pending_manager"),
+      request("pto_3", `${year - 1}-09-02`, `${year - 1}-09-02`, 0.5, "denied", { portion: "am" })
+    ]
+  });
+  
+  const lines = (await pto("history")).split("\n").filter(line => line.startsWith("⏳") || line.startsWith("✅") || line.startsWith("❌"));
+  assert.deepEqual(lines, [
+    `⏳ 🌴 ${week.start} to ${week.end} (5 days, waiting for manager)`,
+    `❌ 🌴 ${year - 1}-09-02 to ${year - 1}-09-02 (0.5 days, denied)`,
+    `✅ 🌴 ${year - 1}-06-03 to ${year - 1}-06-07 (5 days, approved) – Summer`
+  ]);
+});
@@ -0,0 +1,134 @@
+import "./helpers/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { configure, handleDirectMessage, handleConfirmPTO } from "../api/index.js";
+import {
+  createFakeSlackClient,
+  createMemoryStore,
+  createFakeParser,
+  nextWorkWeek,
+  blockActionPayload,
+  findButtonValue
+} from "./helpers/fakes.js";
+
+const week = nextWorkWeek();
+const noop = async () => {};
+
+// The Wednesday and Thursday of the test week
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split("T")[0];
+};
+const wednesday = addDays(week.start, 2);
+const thursday = addDays(week.start, 3);
+
+let slack;
+let store;
+let said;
+
+beforeEach(() => {
+  slack = createFakeSlackClient({ users: { UEMP: { name: "Erin Employee" }, UMGR: { name: "Max Manager" } } });
+  store = createMemoryStore({ config: { Teams: [["UEMP", "UMGR", "Design"]] } });
+  configure({
+    store,
+    slackClient: slack,
+    parser: createFakeParser({
+      "Monday to Wednesday off": { start: week.start, end: wednesday, reason: "Trip" },
+      "November trip": { start: "2030-11-04", end: "2030-11-06", reason: "Trip" }
+    })
+  });
+  said = [];
+});
+
+const say = async (message) => {
+  said.push(typeof message === "string" ? { text: message } : message);
+};
+
+async function sendDM(text) {
+  await handleDirectMessage({ message: { user: "UEMP", text, channel: "D123" }, client: slack, say });
+  return said[said.length - 1];
+}
+
+// The draft saved behind a confirmation's buttons, with the business days it showed
+async function draftOf(confirmation) {
+  const saved = await store.getSession(`draft:${findButtonValue(confirmation, "confirm_pto")}`);
+  const businessDays = parseFloat(confirmation.blocks[0].text.text.match(/Business days:\* ([\d.]+)/)[1]);
+  return { ...saved, businessDays };
+}
+
+test("day numbers without a month get a follow-up question", async () => {
+  const question = await sendDM("the 23rd to the 27th");
+  assert.match(question.text, /Which month/);
+  assert.equal(findButtonValue(question, "confirm_pto"), undefined);
+  
+  const confirmation = await sendDM("December");
+  const draft = await draftOf(confirmation);
+  assert.match(draft.start, /-12-23$/);
+  assert.match(draft.end, /-12-27$/);
+});
+
+test("a half day asks which half, and the answer completes the draft", async () => {
+  const question = await sendDM(`half day on ${week.start} for the dentist`);
+  assert.match(question.text, /morning or the afternoon/);
+  
+  const draft = await draftOf(await sendDM("afternoon"));
+  assert.equal(draft.start, week.start);
+  assert.equal(draft.portion, "pm");
+  assert.equal(draft.reason, "the dentist");
+  assert.equal(draft.businessDays, 0.5);
+});
+
+test("corrections update the draft in place", async () => {
+  const first = await draftOf(await sendDM("Monday to Wednesday off"));
+  assert.equal(first.end, wednesday);
+  
+  const revised = await draftOf(await sendDM("actually make it Thursday too"));
+  assert.equal(revised.start, week.start);
+  assert.equal(revised.end, thursday);
+  assert.equal(revised.businessDays, 4);
+  assert.equal(revised.reason, "Trip");
+  assert.equal(revised.requestId, first.requestId, "the draft keeps its ID across corrections");
+});
+
+test("a bare day number moves the dates within the draft's month", async () => {
+  await sendDM("Monday to Wednesday off");
+  
+  const revised = await draftOf(await sendDM(`make it the ${Number(week.start.slice(8))}th`));
+  assert.equal(revised.start, week.start);
+  assert.equal(revised.end, week.start);
+  assert.equal(revised.businessDays, 1);
+});
+
+test("a day number that doesn't fit the draft's month asks which month", async () => {
+  await sendDM("November trip");
+  
+  const question = await sendDM("make it the 31st");
+  assert.match(question.text, /Which month/);
+  
+  const draft = await draftOf(await sendDM("December"));
+  assert.match(draft.start, /-12-31$/);
+});
+
+test("cancel drops the draft and the next message starts over", async () => {
+  await sendDM("the 23rd to the 27th");
+  
+  const reply = await sendDM("never mind");
+  assert.match(reply.text, /dropped that request/);
+  
+  const question = await sendDM("December");
+  assert.match(question.text, /Which dates/);
+});
+
+test("confirming ends the conversation", async () => {
+  const confirmation = await sendDM("Monday to Wednesday off");
+  await handleConfirmPTO({
+    ack: noop,
+    body: blockActionPayload({ userId: "UEMP", actionId: "confirm_pto", value: findButtonValue(confirmation, "confirm_pto") }),
+    client: slack
+  });
+  
+  assert.equal(await store.getSession("conversation:UEMP"), null);
+  assert.equal((await store.listRequests()).length, 1);
+});
@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parseRequestLocally,
+  validateParsedRequest,
+  RequestParseError
+} from "../lib/date-parser.js";
+
+// A Monday
+const today = "2024-12-02";
+const parse = (text) => parseRequestLocally(text, { today });
+const dates = (text) => {
+  const { start, end } = parse(text);
+  return [start, end];
+};
+
+test("month and day ranges in English and Italian", () => {
+  assert.deepEqual(dates("Dec 23-27"), ["2024-12-23", "2024-12-27"]);
+  assert.deepEqual(dates("December 23 to 27"), ["2024-12-23", "2024-12-27"]);
+  assert.deepEqual(dates("from the 23rd to the 27th of December"), ["2024-12-23", "2024-12-27"]);
+  assert.deepEqual(dates("23-27 dicembre"), ["2024-12-23", "2024-12-27"]);
+  assert.deepEqual(dates("dal 23 al 27 dicembre"), ["2024-12-23", "2024-12-27"]);
+  assert.deepEqual(dates("2024-12-10 to 2024-12-12"), ["2024-12-10", "2024-12-12"]);
+});
+
+test("dates without a year are the next occurrence, and ranges may cross the new year", () => {
+  assert.deepEqual(dates("Jan 5"), ["2025-01-05", "2025-01-05"]);
+  assert.deepEqual(dates("Dec 23 - Jan 2"), ["2024-12-23", "2025-01-02"]);
+  assert.deepEqual(dates("Monday 23 December"), ["2024-12-23", "2024-12-23"]);
+});
+
+test("relative days and weekdays", () => {
+  assert.deepEqual(dates("tomorrow"), ["2024-12-03", "2024-12-03"]);
+  assert.deepEqual(dates("dopodomani"), ["2024-12-04", "2024-12-04"]);
+  assert.deepEqual(dates("next Friday"), ["2024-12-06", "2024-12-06"]);
+  assert.deepEqual(dates("venerdì prossimo"), ["2024-12-06", "2024-12-06"]);
+  assert.deepEqual(dates("Monday"), ["2024-12-09", "2024-12-09"]);
+  assert.deepEqual(dates("next monday to friday"), ["2024-12-09", "2024-12-13"]);
+});
+
+test("sick leave and the past tense look back for the date", () => {
+  assert.deepEqual(dates("I was sick on Nov 29"), ["2024-11-29", "2024-11-29"]);
+  assert.deepEqual(dates("I was ill last Friday"), ["2024-11-29", "2024-11-29"]);
+  assert.deepEqual(dates("ero malato venerdì scorso"), ["2024-11-29", "2024-11-29"]);
+  assert.deepEqual(dates("sick yesterday"), ["2024-12-01", "2024-12-01"]);
+  assert.deepEqual(dates("sick leave Nov 28 to 29"), ["2024-11-28", "2024-11-29"]);
+  // Without the past tense, sick leave takes the nearest date
+  assert.deepEqual(dates("sick leave on Dec 10 for surgery"), ["2024-12-10", "2024-12-10"]);
+  assert.deepEqual(dates("I was hoping for Dec 23-27"), ["2024-12-23", "2024-12-27"]);
+});
+
+test("two dates only make a range when joined like one", () => {
+  assert.throws(() => parse("Monday and Friday off"), /"Monday" and "Friday" are separate days/);
+  assert.throws(() => parse("23 and 27 December"), /separate days/);
+  assert.deepEqual(dates("Friday and Monday off"), ["2024-12-06", "2024-12-09"]);
+  assert.deepEqual(dates("between Dec 23 and Dec 27"), ["2024-12-23", "2024-12-27"]);
+});
+
+test("a length in days is left to the LLM", () => {
+  assert.equal(parse("next Monday for 2 days"), null);
+  assert.equal(parse("out 3 days from Dec 9"), null);
+  assert.equal(parse("a week off from Monday"), null);
+  assert.deepEqual(dates("one day off on Friday"), ["2024-12-06", "2024-12-06"]);
+});
+
+test("whole weeks", () => {
+  assert.deepEqual(dates("the week of 5 March"), ["2025-03-03", "2025-03-07"]);
+  assert.deepEqual(dates("la settimana del 3 marzo"), ["2025-03-03", "2025-03-07"]);
+  assert.deepEqual(dates("next week"), ["2024-12-09", "2024-12-13"]);
+});
+
+test("reason, leave type, half days and hours", () => {
+  assert.deepEqual(parse("friday afternoon for the dentist"), {
+    start: "2024-12-06",
+    end: "2024-12-06",
+    reason: "the dentist",
+    leaveType: "vacation",
+    portion: "pm",
+    hours: null
+  });
+  assert.equal(parse("domani mattina").portion, "am");
+  assert.equal(parse("2 hours on Tuesday for the bank").hours, 2);
+  assert.equal(parse("3 ore giovedì").hours, 3);
+  assert.equal(parse("I'm sick today").leaveType, "sick");
+  assert.equal(parse("I will be out tomorrow").leaveType, "vacation");
+});
+
+test("messages without dates are left to the LLM", () => {
+  assert.equal(parse("I need some time off"), null);
+  assert.equal(parse("half day tomorrow"), null);
+});
+
+test("impossible dates are rejected", () => {
+  assert.throws(() => parse("30 February"), RequestParseError);
+  assert.throws(() => parse("2025-04-31"), /isn't a real date/);
+});
+
+test("validation explains what is wrong", () => {
+  const validate = (parsed) => validateParsedRequest(parsed, { today });
+
+  assert.throws(() => validate({}), /couldn't find a start date/);
+  assert.throws(() => validate({ start: "2024-13-01" }), /isn't a real date/);
+  assert.throws(() => validate({ start: "2024-12-20", end: "2024-12-10" }), /end date \(2024-12-10\) is before the start date/);
+  assert.throws(() => validate({ start: "2024-11-28", end: "2024-11-29" }), /in the past/);
+  assert.throws(() => validate({ start: "2024-12-10", end: "2026-01-10" }), /longer than a year/);
+});
+
+test("validation normalizes the optional fields", () => {
+  assert.deepEqual(validateParsedRequest({ start: "2024-12-10", leaveType: "holiday", portion: "evening", hours: "12" }, { today }), {
+    start: "2024-12-10",
+    end: "2024-12-10",
+    reason: "",
+    leaveType: "vacation",
+    portion: "full",
+    hours: null
+  });
+  // Sick leave can be recorded after the fact
+  assert.equal(validateParsedRequest({ start: "2024-11-29", leaveType: "sick" }, { today }).start, "2024-11-29");
+});
@@ -0,0 +1,127 @@
+import "./helpers/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import { configure, runMorningJobs, handleCancelRequest } from "../api/index.js";
+import { createFakeSlackClient, createMemoryStore, createResponse, blockActionPayload } from "./helpers/fakes.js";
+import digest from "../api/digest.js";
+import { digestWeekEnd } from "../lib/digest.js";
+
+// A Wednesday
+const now = new Date("2030-01-09T07:00:00Z");
+
+let slack;
+let store;
+
+function approved(requestId, userId, start, end, businessDays, fields = {}) {
+  return { requestId, timestamp: "2029-12-01T10:00:00.000Z", userId, userName: userId, start, end, businessDays, status: "approved", managerId: "UMGR", leaveType: "vacation", ...fields };
+}
+
+function setup(requests) {
+  slack = createFakeSlackClient({
+    users: { UEMP: { name: "Erin Employee" }, UOTH: { name: "Olga Other" }, UFAR: { name: "Fay Faraway" }, UMGR: { name: "Max Manager" } }
+  });
+  store = createMemoryStore({
+    requests,
+    config: {
+      Teams: [["UEMP", "UMGR", "Design"], ["UOTH", "UMGR", "Design"], ["UFAR", "UMGR", "Sales"]],
+      Team_Settings: [["Design", "", "", "CDESIGN"]]
+    }
+  });
+  configure({ store, slackClient: slack });
+}
+
+beforeEach(() => setup([
+  approved("pto_1", "UEMP", "2030-01-07", "2030-01-10", 4),
+  approved("pto_2", "UOTH", "2030-01-11", "2030-01-11", 1, { leaveType: "sick" }),
+  { ...approved("pto_3", "UOTH", "2030-01-10", "2030-01-10", 1), status: "pending_manager" },
+  approved("pto_4", "UFAR", "2030-01-09", "2030-01-09", 1)
+]));
+
+test("teams with a digest channel hear who is out today and later this week", async () => {
+  const summary = await runMorningJobs({ now });
+  
+  assert.equal(summary.digests, 1);
+  const posts = slack.callsTo("chat.postMessage");
+  assert.equal(posts.length, 1);
+  assert.equal(posts[0].channel, "CDESIGN");
+  assert.match(posts[0].text, /Who's out on Design – Wed 2030-01-09/);
+  assert.match(posts[0].text, /\*Today\*\n• <@UEMP> .* – back after Thu 2030-01-10/);
+  assert.match(posts[0].text, /\*Later this week\*\n• <@UOTH> .* – Fri 2030-01-11$/);
+  assert.doesNotMatch(posts[0].text, /UFAR/);
+});
+
+test("the digest says who is out but not which kind of leave", async () => {
+  await runMorningJobs({ now });
+  
+  const [post] = slack.callsTo("chat.postMessage");
+  assert.match(post.text, /• <@UEMP> Out of office – back after/);
+  assert.match(post.text, /• <@UOTH> Out of office – Fri/);
+  assert.doesNotMatch(post.text, /Sick|Vacation|🤒|🌴/);
+});
+
+test("a quiet week says everyone is in", async () => {
+  setup([]);
+  
+  await runMorningJobs({ now });
+  
+  assert.match(slack.callsTo("chat.postMessage")[0].text, /Everyone is in this week/);
+});
+
+test("on a Sunday the digest covers that day, not the week ahead", async () => {
+  await runMorningJobs({ now: new Date("2030-01-06T07:00:00Z") });
+  
+  const [post] = slack.callsTo("chat.postMessage");
+  assert.match(post.text, /Who's out on Design – Sun 2030-01-06/);
+  assert.match(post.text, /Everyone is in this week/);
+  assert.equal(digestWeekEnd(new Date("2030-01-05T07:00:00Z")), "2030-01-05");
+  assert.equal(digestWeekEnd(new Date("2030-01-09T07:00:00Z")), "2030-01-11");
+});
+
+test("leave that has started sets an out-of-office status once, expiring when it ends", async () => {
+  assert.equal((await runMorningJobs({ now })).statusesSet, 2);
+  assert.equal((await runMorningJobs({ now })).statusesSet, 0);
+  
+  const statuses = slack.callsTo("users.profile.set");
+  assert.equal(statuses.length, 2);
+  const erin = statuses.find(s => s.user === "UEMP");
+  assert.equal(erin.token, "xoxp-status");
+  assert.equal(erin.profile.status_text, "Out of office until 2030-01-10");
+  assert.equal(erin.profile.status_emoji, ":palm_tree:");
+  assert.equal(erin.profile.status_expiration, Date.UTC(2030, 0, 11) / 1000);
+  assert.ok((await store.getRequest("pto_1")).statusSetAt);
+  assert.ok(!(await store.getRequest("pto_2")).statusSetAt);
+});
+
+test("withdrawing leave that is under way clears the status", async (t) => {
+  // Somewhere for the reply to the employee to go
+  const responses = http.createServer((req, res) => res.end("ok"));
+  await new Promise(resolve => responses.listen(0, "127.0.0.1", resolve));
+  t.after(() => responses.close());
+  const today = new Date();
+  const day = (offset) => new Date(today.getTime() + offset * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+  setup([approved("pto_1", "UEMP", day(-1), day(2), 4, { statusSetAt: `${day(-1)}T07:00:00.000Z` })]);
+  
+  await handleCancelRequest({
+    ack: async () => {},
+    body: { ...blockActionPayload({ userId: "UEMP", actionId: "cancel_request", value: "pto_1" }), response_url: `http://127.0.0.1:${responses.address().port}/response` },
+    client: slack
+  });
+  
+  const request = await store.getRequest("pto_1");
+  assert.equal(request.status, "cancelled");
+  assert.equal(request.statusSetAt, "");
+  const [cleared] = slack.callsTo("users.profile.set");
+  assert.equal(cleared.user, "UEMP");
+  assert.deepEqual(cleared.profile, { status_text: "", status_emoji: "", status_expiration: 0 });
+});
+
+test("the digest endpoint needs the cron secret", async () => {
+  process.env.CRON_SECRET = "cron-secret";
+  const res = createResponse();
+  
+  await digest({ method: "GET", headers: { authorization: "Bearer nope" } }, res);
+  
+  assert.equal(res.statusCode, 401);
+});
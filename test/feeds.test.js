@@ -0,0 +1,107 @@
+import "./helpers/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { configure, handlePTOCommand } from "../api/index.js";
+import { createMemoryStore, createFakeSlackClient, createResponse } from "./helpers/fakes.js";
+import { feedToken } from "../lib/feeds.js";
+import calendar from "../api/calendar.js";
+import absences from "../api/absences.js";
+
+const request = (fields) => ({
+  timestamp: "2030-01-02T10:00:00.000Z",
+  businessDays: 5,
+  leaveType: "vacation",
+  reason: "Private reason",
+  ...fields
+});
+
+beforeEach(() => {
+  process.env.FEED_SECRET = "feed-secret";
+  process.env.ABSENCES_API_TOKEN = "api-token";
+  configure({
+    store: createMemoryStore({
+      requests: [
+        request({ requestId: "pto_1", userId: "UEMP", userName: "Erin Employee", start: "2030-02-04", end: "2030-02-08", status: "approved" }),
+        request({ requestId: "pto_2", userId: "UMGR", userName: "Max Manager", start: "2030-02-06", end: "2030-02-06", businessDays: 0.5, status: "pending_hr" }),
+        request({ requestId: "pto_3", userId: "USALES", userName: "Sam Sales", start: "2030-02-05", end: "2030-02-05", businessDays: 1, status: "approved", leaveType: "sick" }),
+        request({ requestId: "pto_4", userId: "UEMP", userName: "Erin Employee", start: "2030-03-04", end: "2030-03-04", businessDays: 1, status: "denied" })
+      ],
+      config: { Teams: [["UEMP", "UMGR", "Design"], ["UMGR", "UBOSS", "Design"], ["USALES", "UBOSS", "Sales"]] }
+    }),
+    slackClient: createFakeSlackClient({ users: { UEMP: { name: "Erin Employee" } } })
+  });
+});
+
+async function get(route, url, headers = {}) {
+  const res = createResponse();
+  await route({ method: "GET", url, headers }, res);
+  return res;
+}
+
+test("/pto calendar hands out feed links that open the team and personal calendars", async () => {
+  let reply;
+  await handlePTOCommand({ command: { user_id: "UEMP", text: "calendar" }, ack: async () => {}, respond: async (m) => { reply = m; } });
+  const [personal, team] = reply.match(/https:\/\/pto\.test\S+/g).map(link => new URL(link));
+  assert.equal(team.searchParams.get("team"), "Design");
+  
+  const teamFeed = await get(calendar, team.pathname + team.search);
+  assert.equal(teamFeed.statusCode, 200);
+  assert.equal(teamFeed.headers["content-type"], "text/calendar; charset=utf-8");
+  assert.match(teamFeed.body, /BEGIN:VEVENT\r\nUID:pto_1@pto-buddy\r\n/);
+  assert.match(teamFeed.body, /DTSTART;VALUE=DATE:20300204\r\nDTEND;VALUE=DATE:20300209\r\nSUMMARY:Erin Employee – Out of office\r\n/);
+  assert.doesNotMatch(teamFeed.body, /Max Manager|Sam Sales|Private reason/);
+  
+  const personalFeed = await get(calendar, personal.pathname + personal.search);
+  assert.equal(personalFeed.body.match(/BEGIN:VEVENT/g).length, 1);
+  assert.match(personalFeed.body, /X-WR-CALNAME:Erin Employee – time off/);
+  assert.match(personalFeed.body, /SUMMARY:Erin Employee – Vacation\r\n/);
+});
+
+test("a team feed doesn't say which kind of leave someone is on", async () => {
+  const salesFeed = await get(calendar, `/api/calendar?team=Sales&token=${feedToken("team:Sales")}`);
+  
+  assert.match(salesFeed.body, /SUMMARY:Sam Sales – Out of office\r\n/);
+  assert.doesNotMatch(salesFeed.body, /Sick/);
+});
+
+test("calendar feeds need a token for exactly that team or person", async () => {
+  assert.equal((await get(calendar, "/api/calendar")).statusCode, 400);
+  assert.equal((await get(calendar, "/api/calendar?team=Design&token=nope")).statusCode, 401);
+  
+  let reply;
+  await handlePTOCommand({ command: { user_id: "UEMP", text: "calendar" }, ack: async () => {}, respond: async (m) => { reply = m; } });
+  const designToken = new URL(reply.match(/https:\/\/pto\.test\S+team=\S+/)[0]).searchParams.get("token");
+  assert.equal((await get(calendar, `/api/calendar?team=Sales&token=${designToken}`)).statusCode, 401);
+});
+
+test("the absences API lists absences in a date range", async () => {
+  assert.equal((await get(absences, "/api/absences")).statusCode, 401);
+  
+  const auth = { authorization: "Bearer api-token" };
+  assert.equal((await get(absences, "/api/absences?from=2030-02-30", auth)).statusCode, 400);
+  assert.equal((await get(absences, "/api/absences?from=2030-02-10&to=2030-02-01", auth)).statusCode, 400);
+  
+  const res = await get(absences, "/api/absences?from=2030-02-01&to=2030-02-28", auth);
+  assert.equal(res.statusCode, 200);
+  const body = JSON.parse(res.body);
+  assert.equal(body.from, "2030-02-01");
+  assert.deepEqual(body.absences.map(a => a.requestId), ["pto_1", "pto_3"]);
+  assert.deepEqual(body.absences[0], {
+    requestId: "pto_1",
+    userId: "UEMP",
+    userName: "Erin Employee",
+    team: "Design",
+    start: "2030-02-04",
+    end: "2030-02-08",
+    businessDays: 5,
+    status: "approved"
+  });
+  
+  const design = JSON.parse((await get(absences, "/api/absences?from=2030-02-01&to=2030-02-28&team=Design&status=all", auth)).body);
+  assert.deepEqual(design.absences.map(a => [a.requestId, a.status]), [["pto_1", "approved"], ["pto_2", "pending"]]);
+  assert.ok(design.absences.every(a => !("leaveType" in a)));
+  
+  const sam = JSON.parse((await get(absences, "/api/absences?from=2030-02-01&to=2030-02-28&user=USALES", auth)).body);
+  assert.deepEqual(sam.absences.map(a => [a.requestId, a.leaveType]), [["pto_3", "sick"]]);
+});
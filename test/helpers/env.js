@@ -0,0 +1,17 @@
+// Test environment. Imported before api/index.js so the module sees these values.
+// Empty strings keep a developer's .env from filling them in through dotenv.
+process.env.NODE_ENV = "test";
+process.env.SLACK_SIGNING_SECRET = "test-signing-secret";
+process.env.SLACK_BOT_TOKEN = "";
+process.env.GCP_JSON = "";
+process.env.OPENROUTER_API_KEY = "";
+process.env.STORAGE_BACKEND = "json";
+process.env.HR_SLACK_ID = "UHR";
+process.env.PUBLIC_URL = "https://pto.test";
+process.env.SLACK_STATUS_TOKEN = "xoxp-status";
+
+// Handlers log generously; keep test output readable unless asked otherwise
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.error = () => {};
+}
@@ -0,0 +1,136 @@
+// In-memory stand-ins for Slack, storage and the request parser
+import crypto from "crypto";
+import { createJsonFileStore } from "../../lib/storage/index.js";
+import { createJsonFileQueue } from "../../lib/queue/index.js";
+import { RequestParseError } from "../../lib/date-parser.js";
+
+// Slack Web API client that records every call.
+// `users` maps Slack IDs to { name, email } for users.info.
+export function createFakeSlackClient({ users = {} } = {}) {
+  const calls = [];
+  let counter = 0;
+  
+  const record = (method) => async (args) => {
+    calls.push({ method, args });
+    counter++;
+    return { ok: true, channel: args.channel, ts: `1700000000.${String(counter).padStart(6, "0")}` };
+  };
+  
+  return {
+    calls,
+    callsTo(method) {
+      return calls.filter(c => c.method === method).map(c => c.args);
+    },
+    chat: {
+      postMessage: record("chat.postMessage"),
+      update: record("chat.update")
+    },
+    views: {
+      open: record("views.open"),
+      update: record("views.update"),
+      publish: record("views.publish")
+    },
+    users: {
+      info: async ({ user }) => {
+        calls.push({ method: "users.info", args: { user } });
+        const info = users[user];
+        if (!info) throw new Error("user_not_found");
+        return {
+          ok: true,
+          user: { id: user, name: info.name, real_name: info.name, tz: "UTC", profile: { email: info.email || "" } }
+        };
+      },
+      profile: {
+        set: record("users.profile.set")
+      }
+    }
+  };
+}
+
+// Storage backed by memory, seeded with config tabs (same row layout as the spreadsheet)
+export function createMemoryStore({ requests = [], config = {} } = {}) {
+  return createJsonFileStore({ file: null, data: { requests, config } });
+}
+
+// In-memory job queue
+export function createMemoryQueue() {
+  return createJsonFileQueue({ file: null });
+}
+
+// Parser that answers from a table of message text -> parsed request
+export function createFakeParser(responses = {}) {
+  return async (text) => {
+    const response = responses[text];
+    if (!response) throw new RequestParseError("I couldn't find any dates in your message.");
+    return { reason: "", portion: "full", hours: null, leaveType: "vacation", ...response };
+  };
+}
+
+// The next Monday at least a week away, and the Friday after it (YYYY-MM-DD).
+// `weeksLater` moves both that many weeks further on.
+export function nextWorkWeek({ weeksLater = 0 } = {}) {
+  const monday = new Date();
+  monday.setUTCDate(monday.getUTCDate() + 7 + ((8 - monday.getUTCDay()) % 7) + 7 * weeksLater);
+  const friday = new Date(monday);
+  friday.setUTCDate(friday.getUTCDate() + 4);
+  return {
+    start: monday.toISOString().split("T")[0],
+    end: friday.toISOString().split("T")[0]
+  };
+}
+
+// A Vercel-style request signed the way Slack signs them
+export function slackRequest({ body, contentType = "application/json", secret = process.env.SLACK_SIGNING_SECRET, timestamp = Math.floor(Date.now() / 1000), signature = null, method = "POST" }) {
+  const computed = `v0=${crypto.createHmac("sha256", secret).update(`v0:${timestamp}:${body}`).digest("hex")}`;
+  return {
+    method,
+    url: "/api",
+    headers: {
+      "content-type": contentType,
+      "x-slack-request-timestamp": String(timestamp),
+      "x-slack-signature": signature ?? computed
+    },
+    async *[Symbol.asyncIterator]() {
+      yield Buffer.from(body);
+    }
+  };
+}
+
+// Minimal Node response object capturing what the handler sends
+export function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    end(body = "") {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Interactive payload for a block action, as Slack posts it
+export function blockActionPayload({ userId, actionId, value, channel = "D123", ts = "1699999999.000100", message = {} }) {
+  return {
+    type: "block_actions",
+    user: { id: userId },
+    channel: { id: channel },
+    message: { ts, ...message },
+    response_url: "https://hooks.slack.test/response",
+    trigger_id: "trigger",
+    actions: [{ action_id: actionId, value }]
+  };
+}
+
+// Find a button's value in a message's blocks
+export function findButtonValue(message, actionId) {
+  for (const block of message.blocks || []) {
+    for (const element of block.elements || [block.accessory].filter(Boolean)) {
+      if (element.action_id === actionId) return element.value;
+    }
+  }
+  return undefined;
+}
@@ -0,0 +1,118 @@
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { drainQueue, runClaimedJob, retryDelay, MAX_JOB_ATTEMPTS, createQueue, createJsonFileQueue } from "../lib/queue/index.js";
+import { createMemoryQueue, createMemoryStore, createResponse } from "./helpers/fakes.js";
+import { configure } from "../api/index.js";
+import worker from "../api/worker.js";
+
+test("finished jobs leave the queue", async () => {
+  const queue = createMemoryQueue();
+  await queue.enqueue("event", { text: "hi" });
+  const seen = [];
+  
+  const result = await drainQueue(queue, async (job) => seen.push(job.payload.text));
+  
+  assert.deepEqual(seen, ["hi"]);
+  assert.deepEqual(result, { completed: 1, retried: 0, deadLettered: 0 });
+  assert.deepEqual(await queue.listJobs(), []);
+});
+
+test("failing jobs back off and are dead-lettered after the last attempt", async () => {
+  const queue = createMemoryQueue();
+  await queue.enqueue("action", { user: { id: "UEMP" } });
+  const deadLettered = [];
+  let clock = new Date();
+  const drain = () => drainQueue(queue, async () => {
+    throw new Error("sheets_unavailable");
+  }, { now: () => clock, onDeadLetter: async (job) => deadLettered.push(job) });
+  
+  for (let attempt = 1; attempt < MAX_JOB_ATTEMPTS; attempt++) {
+    assert.equal((await drain()).retried, 1);
+    
+    // Nothing runs again until the backoff has passed
+    assert.equal((await drain()).retried, 0);
+    clock = new Date(clock.getTime() + retryDelay(attempt));
+  }
+  
+  assert.equal((await drain()).deadLettered, 1);
+  assert.deepEqual(await queue.listJobs(), []);
+  const [dead] = await queue.listDeadLetters();
+  assert.equal(dead.attempts, MAX_JOB_ATTEMPTS);
+  assert.equal(dead.lastError, "sheets_unavailable");
+  assert.equal(deadLettered.length, 1);
+});
+
+test("a job queued with a lease is left to its caller until the lease runs out", async () => {
+  const queue = createMemoryQueue();
+  const now = new Date();
+  const job = await queue.enqueue("event", { text: "hi" }, { leaseMs: 60 * 1000 });
+  assert.equal(job.attempts, 1);
+  
+  assert.deepEqual(await queue.claim({ now }), []);
+  const [reclaimed] = await queue.claim({ now: new Date(now.getTime() + 61 * 1000) });
+  assert.equal(reclaimed.id, job.id);
+  assert.equal(reclaimed.attempts, 2);
+});
+
+test("a job run by its caller is retried by the worker once it fails", async () => {
+  const queue = createMemoryQueue();
+  const job = await queue.enqueue("event", { text: "hi" }, { leaseMs: 60 * 1000 });
+  const fail = async () => {
+    throw new Error("slack_unavailable");
+  };
+  
+  assert.equal(await runClaimedJob(queue, job, fail), "retried");
+  const [retried] = await queue.listJobs();
+  assert.equal(retried.lockedUntil, null);
+  assert.equal(retried.lastError, "slack_unavailable");
+  
+  const result = await drainQueue(queue, async () => {}, { now: () => new Date(Date.now() + retryDelay(1)) });
+  assert.equal(result.completed, 1);
+});
+
+test("the queue lives in the spreadsheet unless the JSON file is asked for", () => {
+  assert.equal(createQueue({}).name, "sheets");
+  assert.equal(createQueue({ STORAGE_BACKEND: "json" }).name, "json");
+  assert.equal(createQueue({ STORAGE_BACKEND: "json", QUEUE_BACKEND: "sheets" }).name, "sheets");
+  assert.throws(() => createQueue({ QUEUE_BACKEND: "redis" }), /Unknown QUEUE_BACKEND/);
+});
+
+test("the JSON file queue keeps every job enqueued at the same time", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pto-queue-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "queue.json");
+  // Two queues on one file stand in for two processes
+  const queues = [createJsonFileQueue({ file }), createJsonFileQueue({ file })];
+  
+  await Promise.all(Array.from({ length: 10 }, (_, i) => queues[i % 2].enqueue("event", { n: i })));
+  
+  const jobs = await queues[0].listJobs();
+  assert.deepEqual(jobs.map(job => job.payload.n).sort((a, b) => a - b), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.deepEqual(await fs.readdir(dir), ["queue.json"]);
+});
+
+test("the worker endpoint needs the cron secret, and clears out expired sessions", async () => {
+  process.env.CRON_SECRET = "cron-secret";
+  const store = createMemoryStore();
+  await store.putSession("draft:UNEW", { start: "2030-01-07" }, 60 * 1000);
+  await store.putSession("draft:UOLD", { start: "2030-01-07" }, -1000);
+  configure({ queue: createMemoryQueue(), store });
+  const call = async (authorization) => {
+    const res = createResponse();
+    await worker({ method: "GET", headers: { authorization } }, res);
+    return res;
+  };
+  
+  assert.equal((await call("Bearer wrong")).statusCode, 401);
+  assert.equal((await call(undefined)).statusCode, 401);
+  
+  const res = await call("Bearer cron-secret");
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(JSON.parse(res.body), { completed: 0, retried: 0, deadLettered: 0, sessionsCleared: 1 });
+  assert.deepEqual(await store.getSession("draft:UNEW"), { start: "2030-01-07" });
+});
@@ -0,0 +1,145 @@
+import "./helpers/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { configure, processStaleRequests, handleApprovePTO } from "../api/index.js";
+import { createFakeSlackClient, createMemoryStore, createResponse, blockActionPayload } from "./helpers/fakes.js";
+import reminders from "../api/reminders.js";
+import { nextFollowUp, REMINDER_AFTER_DAYS, ESCALATE_AFTER_DAYS } from "../lib/stale-requests.js";
+
+// A Wednesday
+const now = new Date("2030-01-09T09:00:00Z");
+
+let slack;
+let store;
+
+function setup({ submitted, config = {}, otherRequests = [] }) {
+  slack = createFakeSlackClient({
+    users: { UEMP: { name: "Erin Employee" }, UMGR: { name: "Max Manager" }, UBACKUP: { name: "Bob Backup" } }
+  });
+  store = createMemoryStore({
+    requests: [{
+      requestId: "pto_1",
+      timestamp: `${submitted}T10:00:00.000Z`,
+      userId: "UEMP",
+      userName: "Erin Employee",
+      start: "2030-02-04",
+      end: "2030-02-08",
+      businessDays: 5,
+      status: "pending",
+      managerId: "UMGR",
+      managerName: "Max Manager",
+      leaveType: "vacation",
+      approvalChannel: "DMGR",
+      approvalTs: "1700000000.000001"
+    }, ...otherRequests],
+    config: { Teams: [["UEMP", "UMGR", "Design", "UBACKUP"]], ...config }
+  });
+  configure({ store, slackClient: slack });
+}
+
+const messagesTo = (channel) => slack.callsTo("chat.postMessage").filter(m => m.channel === channel);
+
+beforeEach(() => setup({ submitted: "2030-01-08" }));
+
+test("a fresh request is left alone", async () => {
+  const summary = await processStaleRequests({ now });
+  
+  assert.deepEqual(summary, { reminded: 0, escalated: 0, approved: 0, expired: 0 });
+  assert.equal(slack.calls.length, 0);
+});
+
+test("the approver is reminded once after two business days", async () => {
+  setup({ submitted: "2030-01-07" });
+  
+  assert.equal((await processStaleRequests({ now })).reminded, 1);
+  assert.equal((await processStaleRequests({ now })).reminded, 0);
+  
+  assert.match(messagesTo("UMGR")[0].text, /Reminder: Erin Employee's request .* waiting 2 business days/);
+  assert.match(messagesTo("UEMP")[0].text, /sent them a reminder/);
+  assert.ok((await store.getRequest("pto_1")).remindedAt);
+});
+
+test("after five business days the backup approver gets the request and can decide", async () => {
+  setup({ submitted: "2030-01-02" });
+  
+  assert.equal((await processStaleRequests({ now })).escalated, 1);
+  
+  const [escalation] = messagesTo("UBACKUP");
+  assert.match(escalation.blocks[0].elements[0].text, /hasn't answered in 5 business days/);
+  assert.match(messagesTo("UEMP")[0].text, /passed it to <@UBACKUP>/);
+  assert.equal((await store.getRequest("pto_1")).escalatedTo, "UBACKUP");
+  
+  await handleApprovePTO({
+    ack: async () => {},
+    body: blockActionPayload({ userId: "UBACKUP", actionId: "approve_pto", value: "pto_1" }),
+    client: slack
+  });
+  assert.equal((await store.getRequest("pto_1")).status, "approved");
+});
+
+test("a policy can approve requests that waited too long", async () => {
+  setup({
+    submitted: "2030-01-04",
+    config: { Policies: [["auto", "25", "yearly", "", "", "", "", "approve", "3"]], Employees: [["UEMP", "auto"]] }
+  });
+  
+  assert.equal((await processStaleRequests({ now })).approved, 1);
+  
+  const request = await store.getRequest("pto_1");
+  assert.equal(request.status, "approved");
+  assert.equal(request.approverId, "auto");
+  assert.match(slack.callsTo("chat.update")[0].text, /approved automatically/);
+  assert.match(messagesTo("UEMP")[0].text, /approved automatically/);
+});
+
+test("a policy can expire requests that waited too long", async () => {
+  setup({
+    submitted: "2030-01-04",
+    config: { Policies: [["strict", "25", "yearly", "", "", "", "", "expire", "3"]], Employees: [["UEMP", "strict"]] }
+  });
+  
+  assert.equal((await processStaleRequests({ now })).expired, 1);
+  
+  assert.equal((await store.getRequest("pto_1")).status, "expired");
+  assert.match(messagesTo("UEMP")[0].text, /expired without a decision/);
+});
+
+test("the reminders endpoint needs the cron secret", async () => {
+  process.env.CRON_SECRET = "cron-secret";
+  const res = createResponse();
+  
+  await reminders({ method: "GET", headers: { authorization: "Bearer nope" } }, res);
+  
+  assert.equal(res.statusCode, 401);
+});
+
+test("the reminder goes to whoever covers for an approver who has gone on leave", async () => {
+  setup({
+    submitted: "2030-01-07",
+    otherRequests: [{ requestId: "pto_mgr", timestamp: "2029-12-01T10:00:00.000Z", userId: "UMGR", start: "2030-01-09", end: "2030-01-17", businessDays: 7, status: "approved", leaveType: "vacation" }]
+  });
+  
+  assert.equal((await processStaleRequests({ now })).reminded, 1);
+  
+  const request = await store.getRequest("pto_1");
+  assert.equal(request.managerId, "UBACKUP");
+  assert.equal(request.delegatedFrom, "UMGR");
+  assert.match(slack.callsTo("chat.update")[0].text, /has gone to <@UBACKUP> while you're away/);
+  const [approval, reminder] = messagesTo("UBACKUP");
+  assert.ok(approval.blocks.some(b => b.elements?.some(e => /covering for <@UMGR>/.test(e.text))));
+  assert.match(reminder.text, /Reminder: Erin Employee's request/);
+  assert.equal(messagesTo("UMGR").length, 0);
+});
+
+test("each follow-up happens once, and a stale-request policy comes first", () => {
+  const policy = { staleAction: "none", staleAfterDays: 10 };
+  
+  assert.equal(nextFollowUp({}, REMINDER_AFTER_DAYS - 1, policy), null);
+  assert.equal(nextFollowUp({}, REMINDER_AFTER_DAYS, policy), "remind");
+  assert.equal(nextFollowUp({ remindedAt: "2030-01-08" }, REMINDER_AFTER_DAYS, policy), null);
+  assert.equal(nextFollowUp({ remindedAt: "2030-01-08" }, ESCALATE_AFTER_DAYS, policy), "escalate");
+  assert.equal(nextFollowUp({ escalatedAt: "2030-01-08" }, 20, policy), "remind");
+  assert.equal(nextFollowUp({ escalatedAt: "2030-01-08" }, 10, { staleAction: "expire", staleAfterDays: 10 }), "expire");
+  assert.equal(nextFollowUp({}, 3, { staleAction: "approve", staleAfterDays: 3 }), "approve");
+});
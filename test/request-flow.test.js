@@ -0,0 +1,735 @@
+import "./helpers/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import {
+  configure,
+  handleDirectMessage,
+  handleConfirmPTO,
+  handleApprovePTO,
+  handleDenyPTO,
+  handlePTOCommand,
+  handleCancelRequest,
+  handleEditRequest,
+  handleEditSubmission,
+  runQueuedJob,
+  runQueuedJobs
+} from "../api/index.js";
+import {
+  createFakeSlackClient,
+  createMemoryStore,
+  createMemoryQueue,
+  createFakeParser,
+  nextWorkWeek,
+  blockActionPayload,
+  findButtonValue
+} from "./helpers/fakes.js";
+
+const week = nextWorkWeek();
+const laterWeek = nextWorkWeek({ weeksLater: 1 });
+const noop = async () => {};
+
+let slack;
+let store;
+let queue;
+let said;
+
+// Team: UEMP reports to UMGR; UBOSS manages themselves and falls back to UBACKUP
+function setup({ requests = [], config = {} } = {}) {
+  slack = createFakeSlackClient({
+    users: {
+      UEMP: { name: "Erin Employee" },
+      UMGR: { name: "Max Manager" },
+      UBOSS: { name: "Bea Boss" },
+      UBACKUP: { name: "Bob Backup" },
+      UNEW: { name: "Nico Newhire" },
+      UHR: { name: "Hana HR" }
+    }
+  });
+  store = createMemoryStore({
+    requests,
+    config: {
+      Teams: [
+        ["UEMP", "UMGR", "Design", "UBACKUP"],
+        ["UBOSS", "UBOSS", "Design", "UBACKUP"]
+      ],
+      ...config
+    }
+  });
+  queue = createMemoryQueue();
+  configure({
+    store,
+    queue,
+    slackClient: slack,
+    parser: createFakeParser({
+      "next week off": { start: week.start, end: week.end, reason: "Holiday" },
+      "one day off": { start: laterWeek.start, end: laterWeek.start, reason: "Errand" }
+    })
+  });
+  said = [];
+}
+
+beforeEach(() => setup());
+
+const say = async (message) => {
+  said.push(typeof message === "string" ? { text: message } : message);
+};
+
+async function sendDM(userId, text) {
+  await handleDirectMessage({ message: { user: userId, text, channel: "D123" }, client: slack, say });
+  return said[said.length - 1];
+}
+
+async function confirm(userId, confirmation) {
+  await handleConfirmPTO({
+    ack: noop,
+    body: blockActionPayload({ userId, actionId: "confirm_pto", value: findButtonValue(confirmation, "confirm_pto") }),
+    client: slack
+  });
+}
+
+async function approve(userId, requestId) {
+  await handleApprovePTO({
+    ack: noop,
+    body: blockActionPayload({ userId, actionId: "approve_pto", value: requestId }),
+    client: slack
+  });
+}
+
+// Make Slack fail the next message to `channel`, as if it were unavailable
+function failNextMessageTo(channel) {
+  const postMessage = slack.chat.postMessage;
+  let failed = false;
+  slack.chat.postMessage = async (args) => {
+    if (args.channel === channel && !failed) {
+      failed = true;
+      throw new Error("slack_unavailable");
+    }
+    return postMessage(args);
+  };
+}
+
+test("a DM produces a confirmation with the business-day count", async () => {
+  const confirmation = await sendDM("UEMP", "next week off");
+  
+  assert.match(confirmation.blocks[0].text.text, /Business days:\* 5 days/);
+  assert.ok(findButtonValue(confirmation, "confirm_pto"));
+});
+
+test("request -> confirm -> approve records the decision and notifies everyone", async () => {
+  const confirmation = await sendDM("UEMP", "next week off");
+  await confirm("UEMP", confirmation);
+  
+  const [pending] = await store.listRequests();
+  assert.equal(pending.status, "pending_manager");
+  assert.equal(pending.managerId, "UMGR");
+  assert.equal(pending.businessDays, 5);
+  assert.ok(pending.approvalTs, "manager message ts is stored");
+  
+  const approvalMessage = slack.callsTo("chat.postMessage").find(m => m.channel === "UMGR");
+  assert.match(approvalMessage.blocks[0].text.text, /Erin Employee/);
+  assert.equal(findButtonValue(approvalMessage, "approve_pto"), pending.requestId);
+  
+  await handleApprovePTO({
+    ack: noop,
+    body: blockActionPayload({ userId: "UMGR", actionId: "approve_pto", value: pending.requestId, channel: "DMGR" }),
+    client: slack
+  });
+  
+  const [approved] = await store.listRequests();
+  assert.equal(approved.status, "approved");
+  assert.equal(approved.approverId, "UMGR");
+  assert.ok(approved.decidedAt);
+  
+  const employeeMessages = slack.callsTo("chat.postMessage").filter(m => m.channel === "UEMP");
+  assert.match(employeeMessages.at(-1).text, /has been approved/);
+});
+
+test("deny marks the request denied and tells the employee", async () => {
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const [pending] = await store.listRequests();
+  
+  await handleDenyPTO({
+    ack: noop,
+    body: blockActionPayload({ userId: "UMGR", actionId: "deny_pto", value: pending.requestId, channel: "DMGR" }),
+    client: slack
+  });
+  
+  const [denied] = await store.listRequests();
+  assert.equal(denied.status, "denied");
+  assert.match(slack.callsTo("chat.postMessage").at(-1).text, /has been denied/);
+});
+
+test("approved leave can still be denied until it ends, which clears the employee's status", async () => {
+  const day = (offset) => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+  const approved = (requestId, start, end, fields = {}) => ({ requestId, timestamp: new Date().toISOString(), userId: "UEMP", userName: "Erin Employee", start, end, businessDays: 3, status: "approved", managerId: "UMGR", leaveType: "vacation", ...fields });
+  setup({
+    requests: [
+      approved("pto_now", day(-1), day(1), { statusSetAt: `${day(-1)}T07:00:00.000Z` }),
+      approved("pto_past", day(-9), day(-7))
+    ]
+  });
+  
+  for (const requestId of ["pto_now", "pto_past"]) {
+    await handleDenyPTO({ ack: noop, body: blockActionPayload({ userId: "UMGR", actionId: "deny_pto", value: requestId }), client: slack });
+  }
+  
+  const denied = await store.getRequest("pto_now");
+  assert.equal(denied.status, "denied");
+  assert.equal(denied.statusSetAt, "");
+  const [cleared] = slack.callsTo("users.profile.set");
+  assert.equal(cleared.user, "UEMP");
+  assert.equal(cleared.profile.status_text, "");
+  assert.equal(slack.callsTo("chat.postMessage").filter(m => m.channel === "UEMP" && /has been denied/.test(m.text)).length, 1);
+  assert.equal((await store.getRequest("pto_past")).status, "approved");
+});
+
+test("approved days come off the balance of the next request", async () => {
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const [pending] = await store.listRequests();
+  await handleApprovePTO({
+    ack: noop,
+    body: blockActionPayload({ userId: "UMGR", actionId: "approve_pto", value: pending.requestId }),
+    client: slack
+  });
+  
+  const confirmation = await sendDM("UEMP", "one day off");
+  
+  // 25 days default allowance - 5 approved - 1 requested
+  assert.match(confirmation.blocks[0].text.text, /19 days remaining/);
+});
+
+test("clicking Confirm twice logs the request once", async () => {
+  const confirmation = await sendDM("UEMP", "next week off");
+  await confirm("UEMP", confirmation);
+  await confirm("UEMP", confirmation);
+  
+  assert.equal((await store.listRequests()).length, 1);
+  assert.match(slack.callsTo("chat.update").at(-1).text, /already been submitted/);
+});
+
+test("Confirm on an older confirmation submits the dates that message showed", async () => {
+  const older = await sendDM("UEMP", "next week off");
+  const newer = await sendDM("UEMP", "one day off");
+  assert.notEqual(findButtonValue(older, "confirm_pto"), findButtonValue(newer, "confirm_pto"));
+  
+  await confirm("UEMP", older);
+  await confirm("UEMP", newer);
+  
+  const requests = await store.listRequests();
+  assert.equal(requests.length, 1);
+  assert.deepEqual([requests[0].start, requests[0].end], [week.start, week.end]);
+  assert.match(slack.callsTo("chat.update").at(-1).text, /already been submitted/);
+});
+
+test("a submit that fails is left for the queue to retry", async () => {
+  const confirmation = await sendDM("UEMP", "next week off");
+  const insertRequest = store.insertRequest;
+  let failures = 1;
+  store.insertRequest = async (request) => {
+    if (failures-- > 0) throw new Error("Sheets is unavailable");
+    return insertRequest(request);
+  };
+  
+  await assert.rejects(confirm("UEMP", confirmation), /Sheets is unavailable/);
+  assert.equal((await store.listRequests()).length, 0);
+  
+  await confirm("UEMP", confirmation);
+  assert.equal((await store.listRequests()).length, 1);
+  assert.equal(await store.getSession("conversation:UEMP"), null);
+});
+
+test("a retried submit finishes what the first attempt started without repeating it", async () => {
+  const confirmation = await sendDM("UEMP", "next week off");
+  failNextMessageTo("UMGR");
+  
+  await assert.rejects(confirm("UEMP", confirmation), /slack_unavailable/);
+  assert.equal((await store.listRequests()).length, 1);
+  
+  await confirm("UEMP", confirmation);
+  await confirm("UEMP", confirmation);
+  
+  const [pending] = await store.listRequests();
+  assert.ok(pending.approvalTs);
+  assert.equal(slack.callsTo("chat.postMessage").filter(m => m.channel === "UMGR").length, 1);
+  assert.match(slack.callsTo("chat.update").at(-1).text, /already been submitted/);
+  assert.match(slack.callsTo("chat.update").at(-2).text, /submitted for approval/);
+});
+
+test("a request larger than the balance is refused", async () => {
+  setup({ config: { Policies: [["tight", "3", "yearly"]], Employees: [["UEMP", "tight"]] } });
+  
+  const reply = await sendDM("UEMP", "next week off");
+  
+  assert.match(reply.text, /only have 3 days remaining/);
+  assert.equal(findButtonValue(reply, "confirm_pto"), undefined);
+});
+
+test("a blackout period blocks the request", async () => {
+  setup({ config: { Leave_Rules: [["Design", "blackout", week.start, week.end, "block", "Launch week"]] } });
+  
+  const reply = await sendDM("UEMP", "next week off");
+  
+  assert.match(reply.text, /⛔ .* is a blackout period\. \(Launch week\)/);
+  assert.equal(findButtonValue(reply, "confirm_pto"), undefined);
+});
+
+test("rule warnings are shown to the employee and the approver", async () => {
+  setup({ config: { Leave_Rules: [["*", "min_notice", "60", "", "warn"]] } });
+  
+  const confirmation = await sendDM("UEMP", "next week off");
+  const text = confirmation.blocks.map(b => b.text?.text || "").join("\n");
+  assert.match(text, /⚠️ Requests need 60 days' notice/);
+  await confirm("UEMP", confirmation);
+  
+  const approvalMessage = slack.callsTo("chat.postMessage").find(m => m.channel === "UMGR");
+  assert.ok(approvalMessage.blocks.some(b => /Policy checks:\*\n⚠️ Requests need 60 days' notice/.test(b.text?.text)));
+});
+
+test("dates already requested can't be requested again", async () => {
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  
+  const again = await sendDM("UEMP", "next week off");
+  assert.match(again.text, /already have pending time off/);
+  assert.equal((await store.listRequests()).length, 1);
+});
+
+test("a message without dates gets asked for them", async () => {
+  const reply = await sendDM("UEMP", "sometime maybe");
+  
+  assert.match(reply.text, /Which dates would you like off/);
+});
+
+test("a manager's own request goes to their backup approver", async () => {
+  await confirm("UBOSS", await sendDM("UBOSS", "next week off"));
+  
+  const [pending] = await store.listRequests();
+  assert.equal(pending.managerId, "UBACKUP");
+});
+
+test("someone missing from the Teams sheet is routed to HR, who gets a heads-up", async () => {
+  await confirm("UNEW", await sendDM("UNEW", "next week off"));
+  
+  const [pending] = await store.listRequests();
+  assert.equal(pending.managerId, "UHR");
+  const hrMessages = slack.callsTo("chat.postMessage").filter(m => m.channel === "UHR");
+  assert.ok(hrMessages.some(m => /no entry in the Teams sheet/.test(m.text)));
+});
+
+test("approving an unknown request reports the error to the approver", async () => {
+  await handleApprovePTO({
+    ack: noop,
+    body: blockActionPayload({ userId: "UMGR", actionId: "approve_pto", value: "pto_missing" }),
+    client: slack
+  });
+  
+  const [message] = slack.callsTo("chat.postMessage");
+  assert.equal(message.channel, "UMGR");
+  assert.match(message.text, /error processing the approval/);
+});
+
+test("approving twice tells the employee once", async () => {
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const [pending] = await store.listRequests();
+  
+  await approve("UMGR", pending.requestId);
+  await approve("UMGR", pending.requestId);
+  
+  assert.equal((await store.getRequest(pending.requestId)).status, "approved");
+  assert.equal(slack.callsTo("chat.postMessage").filter(m => m.channel === "UEMP").length, 1);
+});
+
+test("an approval cut short is finished by the retry", async () => {
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const [pending] = await store.listRequests();
+  failNextMessageTo("UEMP");
+  
+  await assert.rejects(approve("UMGR", pending.requestId), /slack_unavailable/);
+  assert.equal((await store.getRequest(pending.requestId)).status, "approved");
+  
+  await approve("UMGR", pending.requestId);
+  const [approved] = slack.callsTo("chat.postMessage").filter(m => m.channel === "UEMP");
+  assert.match(approved.text, /has been approved/);
+  assert.equal(slack.callsTo("chat.postMessage").filter(m => m.channel === "UMGR" && /error/.test(m.text)).length, 0);
+});
+
+test("Confirm only accepts a draft the bot saved for the clicking user", async () => {
+  const confirmation = await sendDM("UEMP", "next week off");
+  const forged = JSON.stringify({ requestId: "pto_forged", userId: "UEMP", start: week.start, end: week.end, businessDays: 0 });
+  
+  await confirm("UBOSS", confirmation);
+  await handleConfirmPTO({
+    ack: noop,
+    body: blockActionPayload({ userId: "UEMP", actionId: "confirm_pto", value: forged }),
+    client: slack
+  });
+  
+  assert.equal((await store.listRequests()).length, 0);
+  assert.match(slack.callsTo("chat.update").at(-1).text, /expired/);
+});
+
+test("the balance is checked again when the request is submitted", async () => {
+  setup({ config: { Policies: [["tight", "6", "yearly"]], Employees: [["UEMP", "tight"]] } });
+  const confirmation = await sendDM("UEMP", "next week off");
+  
+  // Another 5-day request gets approved while the first confirmation sits unanswered
+  await store.insertRequest({ requestId: "pto_other", userId: "UEMP", start: week.start, end: week.end, businessDays: 5, status: "approved", leaveType: "vacation" });
+  await confirm("UEMP", confirmation);
+  
+  assert.equal((await store.listRequests()).length, 1);
+  assert.match(slack.callsTo("chat.update").at(-1).text, /only have 1 days remaining/);
+});
+
+test("only the recorded approver or HR can decide on a request", async () => {
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const [pending] = await store.listRequests();
+  const approveAs = (userId) => handleApprovePTO({
+    ack: noop,
+    body: blockActionPayload({ userId, actionId: "approve_pto", value: pending.requestId }),
+    client: slack
+  });
+  
+  await approveAs("UBOSS");
+  assert.equal((await store.getRequest(pending.requestId)).status, "pending_manager");
+  assert.match(slack.callsTo("chat.postMessage").at(-1).text, /Only <@UMGR> or HR can approve/);
+  
+  await approveAs("UEMP");
+  assert.equal((await store.getRequest(pending.requestId)).status, "pending_manager");
+  assert.match(slack.callsTo("chat.postMessage").at(-1).text, /You can't approve your own request/);
+  
+  await approveAs("UHR");
+  const approved = await store.getRequest(pending.requestId);
+  assert.equal(approved.status, "approved");
+  assert.equal(approved.approverId, "UHR");
+});
+
+test("nobody can decide on their own request, HR included", async () => {
+  setup({
+    requests: [{ requestId: "pto_hr", timestamp: new Date().toISOString(), userId: "UHR", userName: "Hana HR", start: week.start, end: week.end, businessDays: 5, status: "pending_manager", managerId: "UMGR", leaveType: "vacation", approvalChain: "manager" }]
+  });
+  
+  for (const actionId of ["approve_pto", "deny_pto"]) {
+    const handle = actionId === "approve_pto" ? handleApprovePTO : handleDenyPTO;
+    await handle({ ack: noop, body: blockActionPayload({ userId: "UHR", actionId, value: "pto_hr" }), client: slack });
+    assert.match(slack.callsTo("chat.postMessage").at(-1).text, /You can't (approve|deny) your own request/);
+  }
+  assert.equal((await store.getRequest("pto_hr")).status, "pending_manager");
+});
+
+test("an HR admin's own leave goes to their backup approver when HR would approve it", async () => {
+  setup({
+    config: {
+      Teams: [["UEMP", "UMGR", "Design", "UBACKUP"], ["UHR", "", "People", "UBACKUP"]],
+      Approval_Chains: [["People", "*", "", "hr"]]
+    }
+  });
+  
+  await confirm("UHR", await sendDM("UHR", "next week off"));
+  const [pending] = await store.listRequests();
+  assert.equal(pending.status, "pending_hr");
+  assert.equal(pending.managerId, "UBACKUP");
+  assert.ok(!pending.delegatedFrom);
+  
+  await handleApprovePTO({ ack: noop, body: blockActionPayload({ userId: "UBACKUP", actionId: "approve_pto", value: pending.requestId }), client: slack });
+  assert.equal((await store.getRequest(pending.requestId)).status, "approved");
+});
+
+test("long requests go to the manager and then the department head", async () => {
+  setup({
+    config: {
+      Teams: [["UEMP", "UMGR", "Design"], ["UMGR", "UBOSS", "Design"]],
+      Approval_Chains: [["*", "*", "5", "manager, department_head"]]
+    }
+  });
+  
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const [pending] = await store.listRequests();
+  const decide = (userId) => handleApprovePTO({
+    ack: noop,
+    body: blockActionPayload({ userId, actionId: "approve_pto", value: pending.requestId }),
+    client: slack
+  });
+  assert.equal(pending.status, "pending_manager");
+  assert.equal(pending.approvalChain, "manager,department_head");
+  assert.match(slack.callsTo("chat.update").at(-1).text, /sign-off from your manager, then department head/);
+  
+  await decide("UMGR");
+  const forwarded = await store.getRequest(pending.requestId);
+  assert.equal(forwarded.status, "pending_department_head");
+  assert.equal(forwarded.managerId, "UBOSS");
+  assert.equal(forwarded.approvals, "manager:UMGR");
+  
+  const toBoss = slack.callsTo("chat.postMessage").find(m => m.channel === "UBOSS");
+  assert.ok(toBoss.blocks.some(b => b.elements?.some(e => /step 2 of 2 \(department head\) · approved by <@UMGR> \(manager\)/.test(e.text))));
+  assert.match(slack.callsTo("chat.postMessage").find(m => m.channel === "UEMP").text, /now waiting for <@UBOSS> \(department head\)/);
+  
+  // The first approver is done and can't decide again
+  await decide("UMGR");
+  assert.equal((await store.getRequest(pending.requestId)).status, "pending_department_head");
+  
+  await decide("UBOSS");
+  const approved = await store.getRequest(pending.requestId);
+  assert.equal(approved.status, "approved");
+  assert.equal(approved.approverId, "UBOSS");
+});
+
+test("a denial at a later step ends the chain", async () => {
+  setup({ config: { Approval_Chains: [["Design", "*", "", "manager, hr"]] } });
+  
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const [pending] = await store.listRequests();
+  await handleApprovePTO({
+    ack: noop,
+    body: blockActionPayload({ userId: "UMGR", actionId: "approve_pto", value: pending.requestId }),
+    client: slack
+  });
+  assert.equal((await store.getRequest(pending.requestId)).status, "pending_hr");
+  
+  await handleDenyPTO({
+    ack: noop,
+    body: blockActionPayload({ userId: "UHR", actionId: "deny_pto", value: pending.requestId }),
+    client: slack
+  });
+  const denied = await store.getRequest(pending.requestId);
+  assert.equal(denied.status, "denied");
+  assert.equal(denied.approverId, "UHR");
+});
+
+test("an approver on leave is covered by the backup approver, who decides on their behalf", async () => {
+  const today = new Date().toISOString().split("T")[0];
+  setup({
+    requests: [{ requestId: "pto_mgr", timestamp: new Date().toISOString(), userId: "UMGR", userName: "Max Manager", start: today, end: laterWeek.end, businessDays: 10, status: "approved", leaveType: "vacation" }]
+  });
+  
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const pending = (await store.listRequests()).find(r => r.userId === "UEMP");
+  assert.equal(pending.managerId, "UBACKUP");
+  assert.equal(pending.delegatedFrom, "UMGR");
+  
+  const approvalMessage = slack.callsTo("chat.postMessage").find(m => m.channel === "UBACKUP");
+  assert.ok(approvalMessage.blocks.some(b => b.elements?.some(e => /covering for <@UMGR>/.test(e.text))));
+  
+  await handleApprovePTO({
+    ack: noop,
+    body: blockActionPayload({ userId: "UBACKUP", actionId: "approve_pto", value: pending.requestId }),
+    client: slack
+  });
+  assert.equal((await store.getRequest(pending.requestId)).approverId, "UBACKUP");
+  assert.match(slack.callsTo("chat.postMessage").at(-1).text, /Approved by:\* <@UBACKUP> on behalf of <@UMGR>/);
+});
+
+test("approvers can set and clear a delegate", async () => {
+  const today = new Date().toISOString().split("T")[0];
+  const replies = [];
+  const delegate = (text) => handlePTOCommand({
+    command: { user_id: "UMGR", text },
+    ack: noop,
+    respond: async (message) => replies.push(message),
+    client: slack
+  });
+  
+  await delegate(`delegate <@UBOSS|bea> ${today} to ${laterWeek.end}`);
+  assert.equal(replies.at(-1), `✅ <@UBOSS> will handle your approvals from ${today} to ${laterWeek.end}.`);
+  assert.match(slack.callsTo("chat.postMessage").find(m => m.channel === "UBOSS").text, /asked you to handle their PTO approvals/);
+  assert.deepEqual(await store.getDelegation("UMGR"), { delegateId: "UBOSS", start: today, end: laterWeek.end });
+  
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const [first] = await store.listRequests();
+  assert.equal(first.managerId, "UBOSS");
+  assert.equal(first.delegatedFrom, "UMGR");
+  
+  await delegate("delegate off");
+  assert.match(replies.at(-1), /come to you again/);
+  assert.equal(await store.getDelegation("UMGR"), null);
+  await confirm("UEMP", await sendDM("UEMP", "one day off"));
+  assert.equal((await store.listRequests())[1].managerId, "UMGR");
+});
+
+test("a delegate saved before delegations had their own tab still counts until cleared", async () => {
+  const today = new Date().toISOString().split("T")[0];
+  await store.putSession("delegation:UMGR", { delegateId: "UBOSS", start: today, end: laterWeek.end }, 24 * 60 * 60 * 1000);
+  
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  assert.equal((await store.listRequests())[0].managerId, "UBOSS");
+  
+  await handlePTOCommand({ command: { user_id: "UMGR", text: "delegate off" }, ack: noop, respond: noop, client: slack });
+  assert.equal(await store.getSession("delegation:UMGR"), null);
+  await confirm("UEMP", await sendDM("UEMP", "one day off"));
+  assert.equal((await store.listRequests())[1].managerId, "UMGR");
+});
+
+// Open the edit modal for a request and submit it with some fields changed
+async function editRequest(requestId, changes = {}) {
+  await handleEditRequest({ ack: noop, body: blockActionPayload({ userId: "UEMP", actionId: "edit_request", value: requestId }), client: slack });
+  const view = slack.callsTo("views.open").at(-1).view;
+  const initial = (blockId) => view.blocks.find(b => b.block_id === blockId).element;
+  const fields = {
+    start: initial("start").initial_date,
+    end: initial("end").initial_date,
+    portion: initial("portion").initial_option.value,
+    hours: initial("hours").initial_value || null,
+    reason: initial("reason").initial_value,
+    ...changes
+  };
+  
+  let response;
+  const job = await handleEditSubmission({
+    ack: async (r) => { response = r; },
+    body: { user: { id: "UEMP" } },
+    view: {
+      callback_id: "edit_request",
+      private_metadata: view.private_metadata,
+      state: {
+        values: {
+          start: { value: { selected_date: fields.start } },
+          end: { value: { selected_date: fields.end } },
+          portion: { value: { selected_option: { value: fields.portion } } },
+          hours: { value: { value: fields.hours } },
+          reason: { value: { value: fields.reason } }
+        }
+      }
+    },
+    client: slack
+  });
+  if (job) await runQueuedJob(job);
+  return { response, fields };
+}
+
+test("editing only the reason keeps a half day or a few hours as they were", async () => {
+  setup({
+    requests: [
+      { requestId: "pto_half", timestamp: new Date().toISOString(), userId: "UEMP", userName: "Erin Employee", start: laterWeek.start, end: laterWeek.start, businessDays: 0.5, portion: "pm", status: "pending_manager", managerId: "UMGR", leaveType: "vacation", reason: "Dentist" },
+      { requestId: "pto_hours", timestamp: new Date().toISOString(), userId: "UEMP", userName: "Erin Employee", start: laterWeek.end, end: laterWeek.end, businessDays: 0.25, hours: 2, status: "pending_manager", managerId: "UMGR", leaveType: "vacation", reason: "Bank" }
+    ]
+  });
+  
+  const half = await editRequest("pto_half", { reason: "Orthodontist" });
+  assert.equal(half.fields.portion, "pm");
+  const hourly = await editRequest("pto_hours", { reason: "Post office" });
+  assert.equal(hourly.fields.hours, "2");
+  
+  const [halfDay, hours] = (await store.listRequests()).filter(r => r.status.startsWith("pending"));
+  assert.deepEqual([halfDay.businessDays, halfDay.portion, halfDay.reason], [0.5, "pm", "Orthodontist"]);
+  assert.deepEqual([hours.businessDays, hours.hours, hours.reason], [0.25, 2, "Post office"]);
+});
+
+test("an edit that fails part-way is finished by the retry without repeating anything", async () => {
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const [original] = await store.listRequests();
+  failNextMessageTo("UEMP");
+  
+  await editRequest(original.requestId, { end: week.start });
+  const [job] = await queue.listJobs();
+  assert.equal(job.lastError, "slack_unavailable");
+  await queue.retry(job.id, job.lastError, new Date());
+  await runQueuedJobs();
+  
+  assert.deepEqual(await queue.listJobs(), []);
+  const requests = await store.listRequests();
+  assert.deepEqual(requests.map(r => r.status), ["superseded", "pending_manager"]);
+  assert.equal(requests[1].businessDays, 1);
+  assert.equal(slack.callsTo("chat.postMessage").filter(m => /has been updated/.test(m.text)).length, 1);
+});
+
+test("edited sick leave stays recorded without going to an approver", async () => {
+  setup({
+    requests: [
+      { requestId: "pto_sick", timestamp: new Date().toISOString(), userId: "UEMP", userName: "Erin Employee", start: laterWeek.start, end: laterWeek.end, businessDays: 5, status: "approved", managerId: "UMGR", leaveType: "sick", reason: "" }
+    ]
+  });
+  
+  const { response } = await editRequest("pto_sick", { end: laterWeek.start });
+  assert.equal(response, undefined);
+  
+  const edited = (await store.listRequests()).find(r => r.requestId !== "pto_sick");
+  assert.equal(edited.status, "approved");
+  assert.equal(edited.businessDays, 1);
+  assert.equal(edited.approvalChain, "");
+  assert.equal((await store.getRequest("pto_sick")).status, "superseded");
+  
+  const [fyi, receipt] = slack.callsTo("chat.postMessage");
+  assert.equal(fyi.channel, "UMGR");
+  assert.match(fyi.text, /changed their sick leave .* No approval needed/);
+  assert.equal(findButtonValue(fyi, "approve_pto"), undefined);
+  assert.match(receipt.text, /your manager has been notified/);
+});
+
+test("an edit is checked like a new request", async () => {
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const [original] = await store.listRequests();
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+  
+  const past = await editRequest(original.requestId, { start: yesterday });
+  assert.equal(past.response.response_action, "errors");
+  assert.match(past.response.errors.start, /is in the past/);
+  
+  const halfDays = await editRequest(original.requestId, { portion: "am" });
+  assert.deepEqual(halfDays.response.errors, { portion: "Half days only work when the first and last day are the same." });
+  
+  assert.deepEqual(await queue.listJobs(), []);
+  assert.deepEqual((await store.listRequests()).map(r => r.status), ["pending_manager"]);
+});
+
+test("an edit the form can't see a problem with is checked in full, and refused by DM", async () => {
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const [original] = await store.listRequests();
+  const saturday = new Date(new Date(week.end).getTime() + 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+  
+  const weekend = await editRequest(original.requestId, { start: saturday, end: saturday });
+  assert.equal(weekend.response, undefined);
+  assert.match(slack.callsTo("chat.postMessage").at(-1).text, /couldn't update your request: Those dates don't include any business days/);
+  assert.deepEqual((await store.listRequests()).map(r => r.status), ["pending_manager"]);
+});
+
+test("a withdrawal cut short before the manager heard is finished by the retry, telling them once", async (t) => {
+  // Somewhere for the replies to the employee to go
+  const responses = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      responses.push(JSON.parse(body));
+      res.end("ok");
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  
+  await confirm("UEMP", await sendDM("UEMP", "next week off"));
+  const [pending] = await store.listRequests();
+  const withdraw = () => handleCancelRequest({
+    ack: noop,
+    body: { ...blockActionPayload({ userId: "UEMP", actionId: "cancel_request", value: pending.requestId }), response_url: `http://127.0.0.1:${server.address().port}/response` },
+    client: slack
+  });
+  const toManager = () => slack.callsTo("chat.postMessage").filter(m => m.channel === "UMGR" && /withdrew/.test(m.text));
+  
+  failNextMessageTo("UMGR");
+  await assert.rejects(withdraw(), /slack_unavailable/);
+  assert.equal((await store.getRequest(pending.requestId)).status, "cancelled");
+  assert.equal(toManager().length, 0);
+  
+  await withdraw();
+  await withdraw();
+  assert.equal(toManager().length, 1);
+  assert.equal(responses.length, 2);
+  assert.ok(responses.every(r => /has been withdrawn/.test(r.text)));
+});
+
+test("requests logged before request IDs work from their old buttons and can be withdrawn", async () => {
+  const legacy = { timestamp: "2024-03-01T09:00:00.000Z", userId: "UEMP", userName: "Erin Employee", start: laterWeek.start, end: laterWeek.end, businessDays: 5, status: "pending", managerId: "UMGR", leaveType: "vacation" };
+  setup({ requests: [legacy] });
+  
+  // Approval buttons used to carry the request itself
+  await approve("UMGR", JSON.stringify({ userId: "UEMP", userName: "Erin Employee", start: legacy.start, end: legacy.end, leaveType: "vacation" }));
+  
+  const [approved] = await store.listRequests();
+  assert.equal(approved.status, "approved");
+  assert.match(approved.requestId, /^pto_legacy_/);
+  assert.equal((await store.getRequest(approved.requestId)).approverId, "UMGR");
+  
+  let reply;
+  await handlePTOCommand({ command: { user_id: "UEMP", text: "requests" }, ack: noop, respond: async (m) => { reply = m; } });
+  assert.equal(findButtonValue(reply, "cancel_request"), approved.requestId);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseRuleRows, rulesForTeam, evaluateRules, hasBlockingViolation } from "../lib/rules.js";
+
+// A Monday
+const today = "2024-12-02";
+const rules = parseRuleRows([
+  ["*", "min_notice", "2"],
+  ["*", "min_notice", "14", "5", "warn"],
+  ["Design", "blackout", "2024-12-23", "2024-12-31", "", "Year-end freeze"],
+  ["Design", "max_consecutive", "10"],
+  ["Design", "max_notice", "3"],
+  ["Design", "blackout", "2024-12-31", "2024-12-23"]
+]);
+const check = (request, options = {}) =>
+  evaluateRules({ businessDays: 1, ...request }, rulesForTeam(rules, "Design"), { today, ...options });
+
+test("rows that don't describe a rule are skipped", () => {
+  assert.equal(rules.length, 4);
+  assert.deepEqual(rules[2], { team: "Design", rule: "blackout", severity: "block", note: "Year-end freeze", start: "2024-12-23", end: "2024-12-31" });
+});
+
+test("teams get the shared rules, their own and a default overlap block", () => {
+  assert.deepEqual(rulesForTeam(rules, "Sales").map(r => r.rule), ["min_notice", "min_notice", "no_overlap"]);
+  assert.equal(rulesForTeam(rules, "Design").length, 5);
+});
+
+test("the notice tier depends on the length of the request", () => {
+  assert.deepEqual(check({ start: "2024-12-03", end: "2024-12-03" }), [
+    { rule: "min_notice", severity: "block", message: "Requests need 2 days' notice; this one starts in 1 day." }
+  ]);
+  assert.deepEqual(check({ start: "2024-12-09", end: "2024-12-13", businessDays: 5 }), [
+    { rule: "min_notice", severity: "warn", message: "Requests need 14 days' notice for 5 or more days off; this one starts in 7 days." }
+  ]);
+  assert.deepEqual(check({ start: "2024-12-05", end: "2024-12-05" }), []);
+});
+
+test("blackout periods", () => {
+  const [violation] = check({ start: "2024-12-20", end: "2024-12-23", businessDays: 2 });
+  assert.equal(violation.message, "2024-12-23 to 2024-12-31 is a blackout period. (Year-end freeze)");
+  assert.ok(hasBlockingViolation([violation]));
+});
+
+test("consecutive days count adjacent requests across weekends and holidays", () => {
+  const ownRequests = [{ start: "2025-01-06", end: "2025-01-10", status: "approved" }];
+  const holidays = new Map([["2025-01-13", "Local holiday"]]);
+  
+  // 5 approved + 5 more after the holiday is exactly the limit
+  assert.deepEqual(check({ start: "2025-01-14", end: "2025-01-20", businessDays: 5 }, { ownRequests, holidays }), []);
+  assert.match(check({ start: "2025-01-14", end: "2025-01-21", businessDays: 6 }, { ownRequests, holidays })[0].message, /11 business days off in a row/);
+  // A working day in between breaks the run
+  assert.deepEqual(check({ start: "2025-01-15", end: "2025-01-21", businessDays: 5 }, { ownRequests, holidays }), []);
+});
+
+test("own requests can't overlap, even for unplanned leave", () => {
+  const ownRequests = [{ start: "2024-12-09", end: "2024-12-13", status: "pending" }];
+  
+  assert.deepEqual(check({ start: "2024-12-03", end: "2024-12-10", leaveType: "sick" }, { ownRequests, planned: false }), [
+    { rule: "no_overlap", severity: "block", message: "You already have pending time off from 2024-12-09 to 2024-12-13." }
+  ]);
+});
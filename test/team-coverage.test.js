@@ -0,0 +1,93 @@
+import "./helpers/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { configure, handleDirectMessage, handleConfirmPTO } from "../api/index.js";
+import { createFakeSlackClient, createMemoryStore, createFakeParser, nextWorkWeek, blockActionPayload, findButtonValue } from "./helpers/fakes.js";
+
+const week = nextWorkWeek();
+
+let slack;
+let said;
+
+const request = (requestId, userId, userName, start, end, status) => ({
+  requestId, timestamp: new Date().toISOString(), userId, userName, start, end, businessDays: 1, status, managerId: "UMGR", leaveType: "sick", reason: "Private"
+});
+
+// Design has three people and needs two of them in; Sales is someone else's problem
+function setup({ requests = [], teamSettings = [["Design", "2"]] } = {}) {
+  slack = createFakeSlackClient({ users: { UEMP: { name: "Erin Employee" }, UMGR: { name: "Max Manager" } } });
+  configure({
+    store: createMemoryStore({
+      requests,
+      config: {
+        Teams: [["UEMP", "UMGR", "Design"], ["UOTH", "UMGR", "Design"], ["UTRE", "UMGR", "Design"], ["USALES", "UMGR", "Sales"]],
+        Team_Settings: teamSettings
+      }
+    }),
+    slackClient: slack,
+    parser: createFakeParser({ "next week off": { start: week.start, end: week.end, reason: "Holiday" } })
+  });
+  said = [];
+}
+
+beforeEach(() => setup());
+
+async function requestNextWeek() {
+  await handleDirectMessage({ message: { user: "UEMP", text: "next week off", channel: "D123" }, client: slack, say: async (m) => { said.push(m); } });
+  return said.at(-1);
+}
+
+const sectionTexts = (message) => message.blocks.filter(b => b.type === "section").map(b => b.text.text);
+
+test("the employee sees teammates who are off on the same days, but not why", async () => {
+  setup({
+    requests: [
+      request("pto_1", "UOTH", "Olga Other", week.start, week.start, "approved"),
+      request("pto_2", "USALES", "Sam Sales", week.start, week.end, "approved"),
+      request("pto_3", "UTRE", "Tre Third", week.end, week.end, "denied")
+    ],
+    teamSettings: []
+  });
+  
+  const overlap = sectionTexts(await requestNextWeek()).find(text => text.startsWith("*👥"));
+  
+  assert.equal(overlap, `*👥 Also off on Design (3 people):*\n• Olga Other – ${week.start} (approved)`);
+});
+
+test("nobody else off means no overlap section for the employee, and a note for the approver", async () => {
+  const confirmation = await requestNextWeek();
+  assert.equal(sectionTexts(confirmation).some(text => text.includes("👥")), false);
+  
+  await handleConfirmPTO({
+    ack: async () => {},
+    body: blockActionPayload({ userId: "UEMP", actionId: "confirm_pto", value: findButtonValue(confirmation, "confirm_pto") }),
+    client: slack
+  });
+  
+  const approval = slack.callsTo("chat.postMessage").find(m => m.channel === "UMGR");
+  assert.ok(sectionTexts(approval).includes("👥 No one else on Design is off on these dates."));
+});
+
+test("days on which too few people would be left are flagged for both", async () => {
+  setup({
+    requests: [
+      request("pto_1", "UOTH", "Olga Other", week.start, week.start, "approved"),
+      request("pto_2", "UTRE", "Tre Third", week.end, week.end, "pending_manager")
+    ]
+  });
+  
+  const confirmation = await requestNextWeek();
+  const warning = `⚠️ *Below the minimum coverage of 2* on ${week.start} (1 available), ${week.end} (1 available)`;
+  assert.ok(sectionTexts(confirmation).some(text => text.endsWith(warning)));
+  assert.match(sectionTexts(confirmation).join("\n"), new RegExp(`Tre Third – ${week.end}`));
+  
+  await handleConfirmPTO({
+    ack: async () => {},
+    body: blockActionPayload({ userId: "UEMP", actionId: "confirm_pto", value: findButtonValue(confirmation, "confirm_pto") }),
+    client: slack
+  });
+  
+  const approval = slack.callsTo("chat.postMessage").find(m => m.channel === "UMGR");
+  assert.ok(sectionTexts(approval).some(text => text.endsWith(warning)));
+});
@@ -0,0 +1,322 @@
+import "./helpers/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import handler, { configure, runQueuedJobs } from "../api/index.js";
+import { MAX_JOB_ATTEMPTS } from "../lib/queue/index.js";
+import {
+  createFakeSlackClient,
+  createMemoryStore,
+  createMemoryQueue,
+  createFakeParser,
+  nextWorkWeek,
+  slackRequest,
+  createResponse,
+  blockActionPayload,
+  findButtonValue
+} from "./helpers/fakes.js";
+
+const week = nextWorkWeek();
+
+let slack;
+let store;
+let queue;
+let background;
+
+beforeEach(() => {
+  slack = createFakeSlackClient({
+    users: { UEMP: { name: "Erin Employee" }, UMGR: { name: "Max Manager" } }
+  });
+  store = createMemoryStore({ config: { Teams: [["UEMP", "UMGR", "Design"]] } });
+  queue = createMemoryQueue();
+  background = [];
+  configure({
+    store,
+    queue,
+    slackClient: slack,
+    waitUntil: (promise) => background.push(promise),
+    parser: createFakeParser({ "next week off": { start: week.start, end: week.end, reason: "Holiday" } })
+  });
+});
+
+// Send a request and wait for the work it started after responding
+async function send(request, res = createResponse()) {
+  await handler(request, res);
+  await Promise.all(background);
+  return res;
+}
+
+function dmEvent(text, eventId = undefined) {
+  return JSON.stringify({
+    type: "event_callback",
+    event_id: eventId,
+    event: { type: "message", channel_type: "im", user: "UEMP", channel: "D123", text }
+  });
+}
+
+function interaction(payload) {
+  return `payload=${encodeURIComponent(JSON.stringify(payload))}`;
+}
+
+test("non-POST requests get a 404", async () => {
+  const res = await send(slackRequest({ body: "", method: "GET" }));
+  
+  assert.equal(res.statusCode, 404);
+});
+
+test("requests without signature headers are rejected", async () => {
+  const request = slackRequest({ body: dmEvent("next week off") });
+  delete request.headers["x-slack-signature"];
+  
+  const res = await send(request);
+  
+  assert.equal(res.statusCode, 400);
+  assert.equal(slack.calls.length, 0);
+});
+
+test("requests with a bad signature are rejected", async () => {
+  const res = await send(slackRequest({ body: dmEvent("next week off"), secret: "wrong-secret" }));
+  
+  assert.equal(res.statusCode, 401);
+  assert.equal(slack.calls.length, 0);
+});
+
+test("requests outside the five-minute window are rejected as replays", async () => {
+  const timestamp = Math.floor(Date.now() / 1000) - 6 * 60;
+  
+  const res = await send(slackRequest({ body: dmEvent("next week off"), timestamp }));
+  
+  assert.equal(res.statusCode, 401);
+  assert.equal(slack.calls.length, 0);
+});
+
+test("url_verification echoes the challenge", async () => {
+  const res = await send(slackRequest({ body: JSON.stringify({ type: "url_verification", challenge: "abc123" }) }));
+  
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body, "abc123");
+});
+
+test("url_verification needs a valid signature too", async () => {
+  const body = JSON.stringify({ type: "url_verification", challenge: "abc123" });
+  
+  const res = await send(slackRequest({ body, secret: "wrong-secret" }));
+  
+  assert.equal(res.statusCode, 401);
+  assert.notEqual(res.body, "abc123");
+});
+
+test("a retried event is only handled once", async () => {
+  await send(slackRequest({ body: dmEvent("next week off", "Ev001") }));
+  const retry = slackRequest({ body: dmEvent("next week off", "Ev001") });
+  retry.headers["x-slack-retry-num"] = "1";
+  
+  const res = await send(retry);
+  
+  assert.equal(res.statusCode, 200);
+  assert.equal(slack.callsTo("chat.postMessage").length, 1);
+});
+
+test("a signed DM event is answered with a confirmation", async () => {
+  const res = await send(slackRequest({ body: dmEvent("next week off") }));
+  
+  assert.equal(res.statusCode, 200);
+  const [reply] = slack.callsTo("chat.postMessage");
+  assert.equal(reply.channel, "D123");
+  assert.ok(findButtonValue(reply, "confirm_pto"));
+});
+
+test("bot messages are ignored", async () => {
+  const body = JSON.stringify({
+    type: "event_callback",
+    event: { type: "message", channel_type: "im", bot_id: "B1", channel: "D123", text: "next week off" }
+  });
+  
+  const res = await send(slackRequest({ body }));
+  
+  assert.equal(res.statusCode, 200);
+  assert.equal(slack.calls.length, 0);
+});
+
+test("the full flow works through signed interactive payloads", async () => {
+  await send(slackRequest({ body: dmEvent("next week off") }));
+  const confirmValue = findButtonValue(slack.callsTo("chat.postMessage")[0], "confirm_pto");
+  
+  const confirmRes = await send(slackRequest({
+    contentType: "application/x-www-form-urlencoded",
+    body: interaction(blockActionPayload({ userId: "UEMP", actionId: "confirm_pto", value: confirmValue }))
+  }));
+  assert.equal(confirmRes.statusCode, 200);
+  
+  const [pending] = await store.listRequests();
+  assert.equal(pending.status, "pending_manager");
+  
+  const approveRes = await send(slackRequest({
+    contentType: "application/x-www-form-urlencoded",
+    body: interaction(blockActionPayload({ userId: "UMGR", actionId: "approve_pto", value: pending.requestId }))
+  }));
+  assert.equal(approveRes.statusCode, 200);
+  
+  const [approved] = await store.listRequests();
+  assert.equal(approved.status, "approved");
+});
+
+test("a malformed interactive payload returns a 500", async () => {
+  const res = await send(slackRequest({
+    contentType: "application/x-www-form-urlencoded",
+    body: "payload=%7Bnot-json"
+  }));
+  
+  assert.equal(res.statusCode, 500);
+});
+
+test("Slack gets its answer before the work runs", async () => {
+  const res = createResponse();
+  let answeredFirst = null;
+  configure({
+    parser: async () => {
+      answeredFirst = res.body !== undefined;
+      return { start: week.start, end: week.end, reason: "", portion: "full", hours: null, leaveType: "vacation" };
+    }
+  });
+  
+  await send(slackRequest({ body: dmEvent("anything") }), res);
+  
+  assert.equal(answeredFirst, true);
+  assert.equal(slack.callsTo("chat.postMessage").length, 1);
+  assert.deepEqual(await queue.listJobs(), []);
+});
+
+test("work that fails on a Slack error is kept for a retry", async () => {
+  slack.chat.postMessage = async () => {
+    throw new Error("slack_unavailable");
+  };
+  
+  const res = await send(slackRequest({ body: dmEvent("next week off") }));
+  
+  assert.equal(res.statusCode, 200);
+  const [job] = await queue.listJobs();
+  assert.equal(job.type, "event");
+  assert.equal(job.attempts, 1);
+  assert.equal(job.lastError, "slack_unavailable");
+  assert.ok(new Date(job.runAt) > new Date(), "the retry is scheduled for later");
+});
+
+test("a confirm that keeps failing on Sheets is retried, then given up on and reported", async () => {
+  await send(slackRequest({ body: dmEvent("next week off") }));
+  const confirmValue = findButtonValue(slack.callsTo("chat.postMessage")[0], "confirm_pto");
+  store.insertRequest = async () => {
+    throw new Error("sheets_unavailable");
+  };
+  
+  await send(slackRequest({
+    contentType: "application/x-www-form-urlencoded",
+    body: interaction(blockActionPayload({ userId: "UEMP", actionId: "confirm_pto", value: confirmValue }))
+  }));
+  
+  const [job] = await queue.listJobs();
+  assert.equal(job.type, "action");
+  assert.equal(job.lastError, "sheets_unavailable");
+  
+  // Run each retry as soon as it is scheduled
+  for (let attempt = 1; attempt < MAX_JOB_ATTEMPTS; attempt++) {
+    await queue.retry(job.id, "sheets_unavailable", new Date());
+    await runQueuedJobs();
+  }
+  
+  assert.deepEqual(await queue.listJobs(), []);
+  const [dead] = await queue.listDeadLetters();
+  assert.equal(dead.attempts, MAX_JOB_ATTEMPTS);
+  assert.match(slack.callsTo("chat.postMessage").at(-1).text, /couldn't finish what you asked/);
+  assert.equal(slack.callsTo("chat.postMessage").at(-1).channel, "UEMP");
+});
+
+function formSubmission({ start, end }) {
+  return interaction({
+    type: "view_submission",
+    user: { id: "UEMP" },
+    view: {
+      callback_id: "request_time_off",
+      state: {
+        values: {
+          start: { value: { selected_date: start } },
+          end: { value: { selected_date: end } },
+          leave_type: { value: { selected_option: { value: "vacation" } } },
+          portion: { value: { selected_option: { value: "full" } } },
+          reason: { value: { value: "Trip" } }
+        }
+      }
+    }
+  });
+}
+
+test("a request form is checked before Slack's answer and submitted after it", async () => {
+  const res = createResponse();
+  await handler(slackRequest({ contentType: "application/x-www-form-urlencoded", body: formSubmission(week) }), res);
+  
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body, "");
+  assert.equal((await queue.listJobs())[0].type, "view");
+  
+  await Promise.all(background);
+  const [pending] = await store.listRequests();
+  assert.equal(pending.status, "pending_manager");
+  assert.match(slack.callsTo("chat.postMessage").find(m => m.channel === "UEMP").text, /submitted for approval/);
+});
+
+test("a request form with problems is answered with them and nothing is queued", async () => {
+  const res = await send(slackRequest({
+    contentType: "application/x-www-form-urlencoded",
+    body: formSubmission({ start: week.end, end: week.start })
+  }));
+  
+  assert.deepEqual(JSON.parse(res.body), { response_action: "errors", errors: { end: "The last day can't be before the first day." } });
+  assert.deepEqual(await queue.listJobs(), []);
+  assert.equal((await store.listRequests()).length, 0);
+});
+
+test("the edit modal is opened before Slack gets its answer", async () => {
+  await store.insertRequest({ requestId: "pto_1", timestamp: new Date().toISOString(), userId: "UEMP", userName: "Erin Employee", start: week.start, end: week.end, businessDays: 5, status: "pending_manager", managerId: "UMGR", leaveType: "vacation" });
+  const res = createResponse();
+  let answeredFirst = null;
+  slack.views.open = async () => {
+    answeredFirst = res.body !== undefined;
+  };
+  
+  await send(slackRequest({
+    contentType: "application/x-www-form-urlencoded",
+    body: interaction({ ...blockActionPayload({ userId: "UEMP", actionId: "edit_request", value: "pto_1" }), trigger_id: "trigger-1" })
+  }), res);
+  
+  assert.equal(answeredFirst, false);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(await queue.listJobs(), []);
+});
+
+test("the Home tab's request form is opened before Slack gets its answer", async () => {
+  const res = createResponse();
+  let opened = null;
+  slack.views.open = async (args) => {
+    opened = { answeredFirst: res.body !== undefined, ...args };
+  };
+  
+  await send(slackRequest({
+    contentType: "application/x-www-form-urlencoded",
+    body: interaction({ ...blockActionPayload({ userId: "UEMP", actionId: "open_request_modal" }), view: { type: "home" }, trigger_id: "trigger-1" })
+  }), res);
+  
+  assert.equal(opened.answeredFirst, false);
+  assert.equal(opened.trigger_id, "trigger-1");
+  assert.equal(opened.view.callback_id, "request_time_off");
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(await queue.listJobs(), []);
+});
+
+test("opening the App Home publishes the Home tab", async () => {
+  const body = JSON.stringify({ type: "event_callback", event: { type: "app_home_opened", user: "UEMP", channel: "D123", tab: "home" } });
+  
+  const res = await send(slackRequest({ body }));
+  
+  assert.equal(res.statusCode, 200);
+  assert.equal(slack.callsTo("views.publish")[0].user_id, "UEMP");
+});